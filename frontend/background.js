@@ -0,0 +1,499 @@
+/* ----------  YT-Downloader service worker  ----------
+   Talks to the backend on behalf of the in-page Download button: content
+   scripts run in youtube.com's origin, so their requests would be blocked
+   by CORS, while the worker enjoys the extension's host permissions.
+   Also owns the download queue and the "Download with YT Downloader"
+   context menu. */
+
+import { parseYtUrl, watchUrl } from "./shared/yturl.js";
+import {
+  backendPool,
+  getInfo,
+  createJob,
+  watchJob,
+  createBatch,
+  pollBatch,
+  describeBatch,
+  batchPercent,
+  jobFileUrl,
+  jobStage,
+  describeJob,
+  cancelOnServer,
+  chromeDownload,
+} from "./shared/api.js";
+import { loadSettings, pickFormat, downloadPath } from "./shared/settings.js";
+import { sanitizeFilename } from "./shared/filename.js";
+import { describeError } from "./shared/errors.js";
+import {
+  startQueue,
+  setConcurrency,
+  enqueue,
+  updateItem,
+  findItem,
+  cancelItem,
+  clearFinished,
+  onItemChange,
+} from "./queue.js";
+
+/* built once per worker lifetime (or after the server list changed);
+   the ranking itself is cached in storage.local and shared with the popup */
+let poolReady = null;
+function getPool() {
+  poolReady ||= loadSettings().then(async ({ backends }) => {
+    const pool = backendPool(backends);
+    await pool.discover();
+    return pool;
+  });
+  return poolReady;
+}
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "sync") return;
+  if (changes.backends) poolReady = null;
+  if (changes.concurrency) setConcurrency(changes.concurrency.newValue);
+  /* loadSettings() hands the key and its backend to api.js */
+  if (changes.apiKey || changes.apiKeyBackend) loadSettings();
+});
+
+loadSettings().then(({ concurrency }) =>
+  startQueue({ run: runItem, concurrency })
+);
+
+/* ---------------  messages from popup and content script  -------- */
+const HANDLERS = {
+  /* { url } -> /info response */
+  info: async ({ url }) => {
+    const pool = await getPool();
+    return pool.request((backend) => getInfo(backend, parseYtUrl(url).url));
+  },
+  /* { item } -> queued item (see queue.js for the fields) */
+  enqueue: ({ item }) => enqueue(item),
+  /* { id } -> a fresh copy of a history entry */
+  retry: async ({ id }) => {
+    const old = await findItem((i) => i.id === id);
+    if (!old) throw new Error("Download not found");
+    const { url, videoId, title, channel, uploadDate, quality, ext } = old;
+    const { request, batch, direct } = old;
+    return enqueue({
+      url,
+      videoId,
+      title,
+      channel,
+      uploadDate,
+      quality,
+      ext,
+      request,
+      batch,
+      direct,
+    });
+  },
+  /* { id } -> stops a queued or running download, also on the server */
+  cancel: async ({ id }) => {
+    const item = await cancelItem(id);
+    if (item?.status !== "downloading") return; // runItem cleans up itself
+    chrome.downloads.cancel(item.downloadId);
+    if (item.jobId) cancelOnServer(item.backend, `/jobs/${item.jobId}`);
+    if (item.batchId) cancelOnServer(item.backend, `/batches/${item.batchId}`);
+  },
+  "clear-history": () => clearFinished(),
+};
+
+/* { type, … } -> { ok, result } | { ok: false, error, code, ref, hint } with
+   hint = describeError() for the content script, which can't import it */
+chrome.runtime.onMessage.addListener((msg, _sender, reply) => {
+  const handler = HANDLERS[msg?.type];
+  if (!handler) return false;
+  Promise.resolve()
+    .then(() => handler(msg))
+    .then(
+      (result) => reply({ ok: true, result }),
+      (e) =>
+        reply({
+          ok: false,
+          error: e.message,
+          code: e.code || null,
+          ref: e.ref || null,
+          hint: describeError(e),
+        })
+    );
+  return true; // reply asynchronously
+});
+
+/* one "download" port per in-page download: the page posts
+   { url, info, format }; the item goes through the queue and the page
+   receives progress / done / error messages */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "download") return;
+  /* the page can go away at any point, even before the item is queued:
+     the queue listener is then never added (or dropped again), and a
+     post to the dead port must not throw inside the queue's updates */
+  let connected = true;
+  let stop = () => {};
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    stop();
+  });
+  const post = (msg) => {
+    try {
+      port.postMessage(msg);
+    } catch {
+      stop();
+    }
+  };
+
+  port.onMessage.addListener(async ({ url, info, format }) => {
+    let item;
+    try {
+      const { itag, audioFormat, audioBitrate } = format;
+      const { filenameTemplate } = await loadSettings();
+      const video = parseYtUrl(url);
+      item = await enqueue({
+        url: video.url,
+        videoId: video.videoId,
+        title: info.title,
+        channel: info.channel,
+        uploadDate: info.uploadDate,
+        quality: format.label,
+        request: {
+          itag,
+          audioFormat,
+          audioBitrate,
+          metadata: true,
+          filename: filenameTemplate,
+        },
+      });
+    } catch (e) {
+      console.error("in-page download error:", e);
+      return post({ type: "error", error: e.message, hint: describeError(e) });
+    }
+    if (!connected) return; // queued all the same, nobody left to tell
+    post({ type: "progress", text: "Queued", percent: null });
+
+    stop = onItemChange((changed) => {
+      if (changed.id !== item.id) return;
+      if (changed.status === "failed" || changed.status === "cancelled")
+        post({
+          type: "error",
+          error: changed.error || "Cancelled",
+          hint: describeError({
+            code: changed.errorCode,
+            message: changed.error || "Cancelled",
+          }),
+        });
+      else if (changed.status === "downloading" || changed.status === "done")
+        post({ type: "done" });
+      else
+        post({
+          type: "progress",
+          text: changed.progress?.text || "Preparing…",
+          percent: changed.progress?.percent ?? null,
+        });
+    });
+  });
+});
+
+/* ---------------  queue runner  --------------------------------- */
+/* server job -> poll -> hand the finished file to Chrome; a backend
+   dying mid-job restarts the job on the next one. Cancelling the item
+   (`signal`) cancels the server job, or the Chrome download if it
+   already started. */
+async function runItem(item, signal) {
+  try {
+    const pool = await getPool();
+    const settings = await loadSettings();
+    if (item.direct) {
+      const patch = await fetchDirect(item, pool.current, settings);
+      if (signal.aborted) chrome.downloads.cancel(patch.downloadId);
+      return patch;
+    }
+    if (item.batch) return await runBatch(item, pool, settings, signal);
+
+    return await pool.request(async (backend) => {
+      const { id } = await createJob(backend, {
+        url: item.url,
+        ...item.request,
+      });
+      const cancel = () => cancelOnServer(backend, `/jobs/${id}`);
+      let job;
+      try {
+        job = await watchJob(
+          backend,
+          id,
+          (job) =>
+            updateItem(item.id, {
+              progress: {
+                text: describeJob(job),
+                percent: jobStage(job)?.percent ?? null,
+              },
+            }),
+          signal
+        );
+      } catch (e) {
+        if (signal.aborted) cancel();
+        throw e;
+      }
+
+      const filename = downloadPath(
+        settings,
+        itemVars(item, job.filename.split(".").pop())
+      );
+      const downloadId = await chromeDownload({
+        url: jobFileUrl(backend, job),
+        filename,
+        conflictAction: "uniquify",
+        saveAs: settings.saveAs,
+      });
+      if (signal.aborted) {
+        chrome.downloads.cancel(downloadId);
+        cancel();
+      }
+      return {
+        status: "downloading",
+        progress: null,
+        backend,
+        jobId: id,
+        downloadId,
+      };
+    }, signal);
+  } catch (e) {
+    if (item.notify && !signal.aborted)
+      notify("Download failed", failureText(item, e));
+    throw e;
+  }
+}
+
+/* a playlist: POST /batches -> poll -> the ZIP, or every finished file,
+   to Chrome. Loose files are all Chrome's at once, so the item is done
+   right away; a ZIP goes through "downloading" like a single video. */
+async function runBatch(item, pool, settings, signal) {
+  const { folder, ...body } = item.batch;
+  return pool.request(async (backend) => {
+    const { id } = await createBatch(backend, body);
+    let batch;
+    try {
+      batch = await pollBatch(
+        backend,
+        id,
+        (batch) =>
+          updateItem(item.id, {
+            progress: {
+              text: describeBatch(batch),
+              percent: batchPercent(batch),
+            },
+          }),
+        signal
+      );
+    } catch (e) {
+      if (signal.aborted) cancelOnServer(backend, `/batches/${id}`);
+      throw e;
+    }
+
+    const patch = {
+      progress: null,
+      backend,
+      batchId: id,
+      failedCount: batch.failed,
+    };
+    if (batch.bundle === "zip") {
+      const downloadId = await chromeDownload({
+        url: `${backend}/batches/${id}/file`,
+        filename: `${folder}.zip`,
+        conflictAction: "uniquify",
+        saveAs: settings.saveAs,
+      });
+      if (signal.aborted) {
+        chrome.downloads.cancel(downloadId);
+        cancelOnServer(backend, `/batches/${id}`);
+      }
+      return { ...patch, status: "downloading", downloadId };
+    }
+
+    const downloadIds = [];
+    for (const e of batch.entries.filter((e) => e.phase === "ready")) {
+      if (signal.aborted) break;
+      downloadIds.push(
+        await chromeDownload({
+          url: `${backend}/jobs/${e.jobId}/file`,
+          filename: `${folder}/${sanitizeFilename(e.filename, {
+            os: settings.os,
+          })}`,
+          conflictAction: "uniquify",
+        })
+      );
+    }
+    if (signal.aborted) {
+      downloadIds.forEach((d) => chrome.downloads.cancel(d));
+      cancelOnServer(backend, `/batches/${id}`);
+    }
+    return { ...patch, status: "done", downloadId: downloadIds[0] ?? null };
+  }, signal);
+}
+
+/* GET /download straight into chrome.downloads: the server prepares the
+   file while Chrome waits on the response */
+async function fetchDirect(item, backend, settings, saveAs = settings.saveAs) {
+  const params = new URLSearchParams({ url: item.url });
+  for (const [k, v] of Object.entries(item.request))
+    if (v !== null && v !== undefined && v !== false) params.set(k, v);
+
+  const downloadId = await chromeDownload({
+    url: `${backend}/download?${params}`,
+    filename: downloadPath(settings, itemVars(item, item.ext)),
+    conflictAction: "uniquify",
+    saveAs,
+  });
+  return {
+    status: "downloading",
+    progress: null,
+    backend,
+    tried: [...item.tried, backend],
+    downloadId,
+  };
+}
+
+/* filename template values for a queue item */
+const itemVars = (item, ext) => ({
+  title: item.title,
+  channel: item.channel,
+  id: item.videoId,
+  upload_date: item.uploadDate,
+  quality: item.quality,
+  ext,
+});
+
+/* Chrome fetches /download itself, so failover for direct items happens
+   here: a network or server error restarts them on the next backend */
+const RETRYABLE = /^(NETWORK|SERVER)_/;
+
+chrome.downloads.onChanged.addListener(async ({ id, state, error }) => {
+  const outcome = state?.current;
+  if (outcome !== "complete" && outcome !== "interrupted") return;
+
+  const item = await findItem(
+    (i) => i.downloadId === id && i.status === "downloading"
+  );
+  if (!item) return;
+
+  if (outcome === "complete") {
+    const [d] = await chrome.downloads.search({ id });
+    await updateItem(item.id, { status: "done", size: d?.fileSize || null });
+    if (item.notify) notify("Download complete", item.title);
+    return;
+  }
+
+  const reason = error?.current || "interrupted";
+  const next =
+    item.direct && RETRYABLE.test(reason) && (await getPool()).next(item.tried);
+  if (next)
+    try {
+      const settings = await loadSettings();
+      // the user already picked a place the first time
+      return await updateItem(
+        item.id,
+        await fetchDirect(item, next, settings, false)
+      );
+    } catch (e) {
+      console.error("failover download error:", e);
+    }
+
+  await updateItem(item.id, { status: "failed", error: reason });
+  if (item.notify) notify("Download failed", `${item.title} (${reason})`);
+});
+
+/* ---------------  context menu  --------------------------------- */
+const YT_PATTERNS = [
+  "*://*.youtube.com/*",
+  "*://youtu.be/*",
+  "*://*.youtube-nocookie.com/*",
+];
+/* thumbnails: i.ytimg.com/vi/<id>/hqdefault.jpg, /vi_webp/<id>/… */
+const THUMB_ID = /\/vi(?:_webp)?\/([\w-]{11})\//;
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: "download-link",
+      title: "Download with YT Downloader",
+      contexts: ["link", "image"],
+      targetUrlPatterns: [...YT_PATTERNS, "*://i.ytimg.com/*"],
+    });
+    chrome.contextMenus.create({
+      id: "download-page",
+      title: "Download this video with YT Downloader",
+      contexts: ["page", "video"],
+      documentUrlPatterns: YT_PATTERNS,
+    });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((click) => {
+  const candidates =
+    click.menuItemId === "download-page"
+      ? [click.pageUrl]
+      : [click.linkUrl, THUMB_ID.exec(click.srcUrl || "")?.[1]];
+
+  let videoId = null;
+  for (const c of candidates.filter(Boolean))
+    try {
+      videoId = parseYtUrl(c).videoId;
+      if (videoId) break;
+    } catch (_) {
+      /* not a video link – try the next candidate */
+    }
+
+  if (!videoId)
+    return notify("Nothing to download", "That link is not a YouTube video.");
+  quickDownload(videoId).catch((e) => {
+    console.error("context menu download error:", e);
+    const { message, action } = describeError(e);
+    notify("Download failed", [message, action].filter(Boolean).join(" "));
+  });
+});
+
+/* default quality from the options page, as in the popup; the file
+   itself comes straight from GET /download */
+async function quickDownload(videoId) {
+  const url = watchUrl(videoId);
+  const pool = await getPool();
+  const settings = await loadSettings();
+  const info = await pool.request((backend) => getInfo(backend, url));
+  if (!info.formats?.length) throw new Error("No downloadable formats found");
+
+  const { itag, audioFormat, audioBitrate, label, ext } = pickFormat(
+    info.formats,
+    settings
+  );
+  await enqueue({
+    url,
+    videoId,
+    title: info.title,
+    channel: info.channel,
+    uploadDate: info.uploadDate,
+    quality: label,
+    ext: ext?.toLowerCase() || "mp4",
+    request: {
+      itag,
+      audioFormat,
+      audioBitrate,
+      metadata: true,
+      filename: settings.filenameTemplate,
+    },
+    direct: true,
+    notify: true,
+  });
+  notify("Download queued", `${info.title} · ${label}`);
+}
+
+/* "<title>: <what happened> <what to do>" for a failed item */
+function failureText(item, e) {
+  const { message, action } = describeError(e);
+  return [`${item.title}:`, message, action].filter(Boolean).join(" ");
+}
+
+function notify(title, message) {
+  chrome.notifications.create({
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title,
+    message,
+  });
+}
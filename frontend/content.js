@@ -0,0 +1,247 @@
+/* ----------  YT-Downloader in-page Download button  ----------
+   Injected into youtube.com. Adds a Download control next to Like / Share
+   on watch pages and Shorts; all backend traffic goes through the service
+   worker (background.js). YouTube is a single-page app, so the button is
+   re-attached whenever the page navigates or the actions bar re-renders. */
+
+(() => {
+  const ROOT_ID = "ytdx-root";
+
+  /* where the Like / Share row lives on each page type */
+  const ANCHORS = {
+    watch: [
+      "ytd-watch-metadata #top-level-buttons-computed",
+      "#top-level-buttons-computed",
+    ],
+    shorts: [
+      "ytd-reel-video-renderer[is-active] #actions",
+      "ytd-shorts #actions",
+    ],
+  };
+
+  const STYLE = `
+    #${ROOT_ID} { position: relative; display: inline-flex; align-items: center;
+      margin-left: 8px; font-family: Roboto, Arial, sans-serif; }
+    #${ROOT_ID}.shorts { margin: 8px 0 0; flex-direction: column; }
+    #${ROOT_ID} > button { height: 36px; padding: 0 16px; border: 0;
+      border-radius: 18px; cursor: pointer; font-size: 14px; font-weight: 500;
+      background: var(--yt-spec-badge-chip-background, #f2f2f2);
+      color: var(--yt-spec-text-primary, #0f0f0f); }
+    #${ROOT_ID} > button:hover { background: var(--yt-spec-button-chip-background-hover, #e5e5e5); }
+    #${ROOT_ID} > button:disabled { cursor: default; opacity: .7; }
+    #${ROOT_ID} ul { position: absolute; top: 42px; right: 0; z-index: 2500;
+      min-width: 220px; max-height: 320px; overflow-y: auto; margin: 0;
+      padding: 8px 0; list-style: none; border-radius: 12px;
+      background: var(--yt-spec-menu-background, #fff);
+      box-shadow: 0 4px 32px rgba(0,0,0,.2); }
+    #${ROOT_ID}.shorts ul { top: auto; bottom: 0; right: 48px; }
+    #${ROOT_ID} li { padding: 8px 16px; font-size: 14px; cursor: pointer;
+      color: var(--yt-spec-text-primary, #0f0f0f); white-space: nowrap; }
+    #${ROOT_ID} li:hover { background: var(--yt-spec-10-percent-layer, #eee); }
+    #${ROOT_ID} li.group { font-size: 12px; cursor: default; opacity: .6; }
+    #${ROOT_ID} li.group:hover { background: none; }
+    #${ROOT_ID} li.msg { cursor: default; white-space: normal; }
+    #${ROOT_ID} li.msg:hover { background: none; }
+    #${ROOT_ID} [hidden] { display: none !important; }
+  `;
+
+  /* per-video state; reset when the URL changes */
+  let videoUrl = null;
+  let info = null; // /info response, or a pending Promise
+  let downloading = null; // URL of the video being downloaded
+
+  const pageType = () =>
+    location.pathname === "/watch"
+      ? "watch"
+      : location.pathname.startsWith("/shorts/")
+      ? "shorts"
+      : null;
+
+  function findAnchor(type) {
+    for (const sel of ANCHORS[type]) {
+      const el = document.querySelector(sel);
+      if (el) return el;
+    }
+    return null;
+  }
+
+  /* ---------------  mounting  ----------------------------------- */
+  function mount() {
+    const type = pageType();
+    const existing = document.getElementById(ROOT_ID);
+    if (!type) return existing?.remove();
+
+    if (location.href !== videoUrl) {
+      videoUrl = location.href;
+      info = null;
+      existing?.remove(); // drop the previous video's menu and status
+    }
+
+    const anchor = findAnchor(type);
+    if (!anchor || anchor.contains(document.getElementById(ROOT_ID))) return;
+    document.getElementById(ROOT_ID)?.remove();
+    anchor.appendChild(buildRoot(type));
+  }
+
+  function buildRoot(type) {
+    const root = document.createElement("div");
+    root.id = ROOT_ID;
+    root.className = type;
+
+    const button = document.createElement("button");
+    button.type = "button";
+    const busy = downloading === videoUrl;
+    button.textContent = busy ? "Downloading…" : "⬇ Download";
+    button.title = "Download with YT-Downloader";
+    button.disabled = busy;
+
+    const menu = document.createElement("ul");
+    menu.hidden = true;
+
+    button.onclick = (e) => {
+      e.stopPropagation();
+      if (menu.hidden) openMenu(menu);
+      else menu.hidden = true;
+    };
+    root.onclick = (e) => e.stopPropagation();
+    root.append(button, menu);
+    return root;
+  }
+
+  /* ---------------  quality menu  ------------------------------- */
+  async function openMenu(menu) {
+    menu.hidden = false;
+    if (!info) {
+      showMenuMsg(menu, "Fetching qualities…");
+      const url = videoUrl;
+      info = requestInfo(url);
+      try {
+        const result = await info;
+        if (url !== videoUrl) return; // navigated away meanwhile
+        info = result;
+      } catch (e) {
+        info = null;
+        return showMenuMsg(menu, `❌ ${hintText(e.hint) || e.message}`);
+      }
+    }
+    const result = await info;
+    if (!result.formats?.length)
+      return showMenuMsg(menu, "❌ No downloadable formats found");
+    buildMenu(menu, result);
+  }
+
+  function requestInfo(url) {
+    return new Promise((ok, fail) =>
+      chrome.runtime.sendMessage({ type: "info", url }, (res) => {
+        if (chrome.runtime.lastError)
+          return fail(new Error(chrome.runtime.lastError.message));
+        if (res?.ok) ok(res.result);
+        else
+          fail(
+            Object.assign(new Error(res?.error || "No response"), {
+              hint: res?.hint,
+            })
+          );
+      })
+    );
+  }
+
+  function buildMenu(menu, info) {
+    menu.innerHTML = "";
+    let group = null;
+    info.formats.forEach((f) => {
+      if (f.group && f.group !== group) {
+        group = f.group;
+        const g = document.createElement("li");
+        g.className = "group";
+        g.textContent = f.group;
+        menu.appendChild(g);
+      }
+      const li = document.createElement("li");
+      li.textContent = f.sizeMB ? `${f.label} · ${f.sizeMB}` : f.label;
+      li.onclick = () => {
+        menu.hidden = true;
+        startDownload(info, f);
+      };
+      menu.appendChild(li);
+    });
+  }
+
+  /* the worker's describeError() result as one line */
+  const hintText = (hint) =>
+    hint && [hint.message, hint.action].filter(Boolean).join(" ");
+
+  function showMenuMsg(menu, text) {
+    menu.innerHTML = "";
+    const li = document.createElement("li");
+    li.className = "msg";
+    li.textContent = text;
+    menu.appendChild(li);
+  }
+
+  /* ---------------  download via the service worker  ------------- */
+  function startDownload(info, format) {
+    const url = videoUrl;
+    const port = chrome.runtime.connect({ name: "download" });
+    const setStatus = (text, disabled, tooltip = "") => {
+      const button = document.querySelector(`#${ROOT_ID} > button`);
+      if (!button || url !== videoUrl) return;
+      button.textContent = text;
+      button.disabled = disabled;
+      button.title = tooltip;
+    };
+    let active = true;
+    const finish = (text, tooltip) => {
+      active = false;
+      if (downloading === url) downloading = null;
+      port.disconnect();
+      setStatus(text, false, tooltip);
+      setTimeout(() => setStatus("⬇ Download", false), 4000);
+    };
+
+    downloading = url;
+    setStatus("Starting…", true);
+    port.onMessage.addListener((msg) => {
+      if (msg.type === "progress")
+        setStatus(
+          msg.percent === null ? "Preparing…" : `${Math.floor(msg.percent)}%`,
+          true
+        );
+      else if (msg.type === "done") finish("✅ Started");
+      else if (msg.type === "error") {
+        console.error("[YT-Downloader]", msg.error);
+        finish("❌ Failed", hintText(msg.hint));
+      }
+    });
+    port.onDisconnect.addListener(() => active && finish("❌ Failed"));
+    const { title, channel, uploadDate } = info;
+    port.postMessage({ url, info: { title, channel, uploadDate }, format });
+  }
+
+  /* ---------------  bootstrap  ---------------------------------- */
+  const style = document.createElement("style");
+  style.textContent = STYLE;
+  document.documentElement.appendChild(style);
+
+  document.addEventListener("click", () => {
+    const menu = document.querySelector(`#${ROOT_ID} ul`);
+    if (menu) menu.hidden = true;
+  });
+
+  /* YouTube fires yt-navigate-finish after SPA navigations; the observer
+     catches the actions bar being (re)rendered after that */
+  document.addEventListener("yt-navigate-finish", mount);
+  window.addEventListener("popstate", mount);
+
+  let queued = false;
+  new MutationObserver(() => {
+    if (queued) return;
+    queued = true;
+    requestAnimationFrame(() => {
+      queued = false;
+      mount();
+    });
+  }).observe(document.documentElement, { childList: true, subtree: true });
+
+  mount();
+})();
@@ -0,0 +1,124 @@
+/* ----------  YT-Downloader options page  ---------- */
+
+import { DEFAULTS, loadSettings, saveSettings } from "./shared/settings.js";
+import { BACKENDS } from "./shared/api.js";
+import { templateError } from "./shared/filename.js";
+
+const $form = document.getElementById("card");
+const $reset = document.getElementById("resetBtn");
+const $status = document.getElementById("status");
+const fields = {
+  quality: document.getElementById("quality"),
+  container: document.getElementById("container"),
+  audioFormat: document.getElementById("audioFormat"),
+  filenameTemplate: document.getElementById("filenameTemplate"),
+  folder: document.getElementById("folder"),
+  saveAs: document.getElementById("saveAs"),
+  concurrency: document.getElementById("concurrency"),
+  backends: document.getElementById("backends"),
+  apiKey: document.getElementById("apiKey"),
+  apiKeyBackend: document.getElementById("apiKeyBackend"),
+};
+
+window.onload = async () => show(await loadSettings());
+fields.backends.onchange = () => listKeyBackends(fields.apiKeyBackend.value);
+
+$form.onsubmit = async (e) => {
+  e.preventDefault();
+  let settings;
+  try {
+    settings = read();
+  } catch (err) {
+    return setStatus(`❌ ${err.message}`);
+  }
+  /* servers outside the manifest's host_permissions need a grant, and
+     the request has to happen while we still hold the click */
+  const origins = settings.backends.map((b) => `${new URL(b).origin}/*`);
+  const granted = await chrome.permissions.request({ origins });
+  await saveSettings(settings);
+  show(settings);
+  setStatus(
+    granted ? "✅ Saved" : "⚠️ Saved, but access to some servers was denied"
+  );
+};
+
+/* the API key isn't a preference with a default: keep it, and its server */
+$reset.onclick = async () => {
+  const { apiKey, apiKeyBackend } = await loadSettings();
+  const settings = { ...DEFAULTS, apiKey, apiKeyBackend };
+  await saveSettings(settings);
+  show(settings);
+  setStatus("✅ Defaults restored");
+};
+
+function show(settings) {
+  for (const [key, el] of Object.entries(fields)) {
+    if (key === "saveAs") el.checked = settings.saveAs;
+    else if (key === "backends") el.value = settings.backends.join("\n");
+    else if (key === "apiKeyBackend") listKeyBackends(settings.apiKeyBackend);
+    else el.value = settings[key];
+  }
+}
+
+/* the key's server is picked from the origins in the backends textarea;
+   without a choice yet, the first one that isn't a default is likely it */
+function listKeyBackends(selected) {
+  const origins = new Set();
+  for (const url of fields.backends.value.split(/\s+/)) {
+    try {
+      origins.add(new URL(url).origin);
+    } catch {
+      continue; // read() reports it when saving
+    }
+  }
+  if (selected) origins.add(selected);
+  fields.apiKeyBackend.replaceChildren(
+    ...[...origins].map((o) => new Option(o, o))
+  );
+  const defaults = BACKENDS.map((b) => new URL(b).origin);
+  fields.apiKeyBackend.value =
+    selected ||
+    [...origins].find((o) => !defaults.includes(o)) ||
+    [...origins][0];
+}
+
+/* form -> settings; throws on an unusable template or backend URL */
+function read() {
+  const filenameTemplate =
+    fields.filenameTemplate.value.trim() || DEFAULTS.filenameTemplate;
+  const templateErr = templateError(filenameTemplate);
+  if (templateErr) throw new Error(templateErr);
+
+  const backends = fields.backends.value
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((url) => {
+      let u;
+      try {
+        u = new URL(url);
+      } catch {
+        throw new Error(`Not a URL: ${url}`);
+      }
+      if (!/^https?:$/.test(u.protocol))
+        throw new Error(`Backend must be http(s): ${url}`);
+      return u.origin + u.pathname.replace(/\/+$/, "");
+    });
+
+  return {
+    quality: fields.quality.value,
+    container: fields.container.value,
+    audioFormat: fields.audioFormat.value,
+    filenameTemplate,
+    folder: fields.folder.value.trim(),
+    saveAs: fields.saveAs.checked,
+    concurrency: +fields.concurrency.value,
+    backends: backends.length ? backends : DEFAULTS.backends,
+    apiKey: fields.apiKey.value.trim(),
+    apiKeyBackend: fields.apiKeyBackend.value,
+  };
+}
+
+function setStatus(text) {
+  $status.textContent = text;
+  setTimeout(() => ($status.textContent = ""), 3000);
+}
@@ -1,139 +1,630 @@
 /* ----------  YT-Downloader popup controller  ---------- */
 
+import { parseYtUrl } from "./shared/yturl.js";
+import {
+  DEFAULTS,
+  loadSettings,
+  pickFormat,
+  downloadPath,
+  downloadDir,
+} from "./shared/settings.js";
+import {
+  backendPool,
+  fetchWithRetry,
+  httpError,
+  getInfo,
+  chromeDownload,
+  fmtBytes,
+} from "./shared/api.js";
+import { sanitizeFilename } from "./shared/filename.js";
+import { describeError } from "./shared/errors.js";
+import { QUEUE_KEY, FINISHED } from "./queue.js";
+
 const $url = document.getElementById("urlInput");
 const $arrow = document.getElementById("arrowBtn");
 const $quality = document.getElementById("qualitySelect");
+const $allFormats = document.getElementById("allFormats");
+const $metadataRow = document.getElementById("metadataRow");
+const $metadata = document.getElementById("embedMetadata");
+const $trimRow = document.getElementById("trimRow");
+const $start = document.getElementById("startInput");
+const $end = document.getElementById("endInput");
+const $accurateRow = document.getElementById("accurateRow");
+const $accurate = document.getElementById("accurateCut");
+const $playlistBox = document.getElementById("playlistBox");
+const $selectAll = document.getElementById("selectAll");
+const $selectCount = document.getElementById("selectCount");
+const $entries = document.getElementById("entryList");
+const $bundle = document.getElementById("bundleSelect");
+const $captionRow = document.getElementById("captionRow");
+const $captions = document.getElementById("captionSelect");
+const $captionFormat = document.getElementById("captionFormat");
+const $captionBtn = document.getElementById("captionBtn");
+const $embedCaptionsRow = document.getElementById("embedCaptionsRow");
+const $embedCaptions = document.getElementById("embedCaptions");
 const $download = document.getElementById("actionBtn");
 const $info = document.getElementById("infoBox");
+const $history = document.getElementById("historyBox");
+const $historyCount = document.getElementById("historyCount");
+const $historyList = document.getElementById("historyList");
+const $clearHistory = document.getElementById("clearHistory");
+
+/* controls that only make sense once a video / playlist is loaded */
+const VIDEO_CONTROLS = [
+  $quality,
+  $trimRow,
+  $accurateRow,
+  $captionRow,
+  $embedCaptionsRow,
+  $metadataRow,
+  $download,
+];
+const PLAYLIST_CONTROLS = [
+  $quality,
+  $playlistBox,
+  $bundle,
+  $metadataRow,
+  $download,
+];
+const ALL_CONTROLS = [...new Set([...VIDEO_CONTROLS, ...PLAYLIST_CONTROLS])];
 
-/* Choose backend automatically:
-   – If dev server running locally, use it
-   – Otherwise fall back to Render */
-const backend = "http://localhost:3000";
+/* batch downloads pick a quality per video, so only buckets are offered */
+const BATCH_QUALITIES = [
+  { label: "1080p", quality: "1080p" },
+  { label: "720p", quality: "720p" },
+  { label: "480p", quality: "480p" },
+  { label: "360p", quality: "360p" },
+  { label: "Audio only", quality: "audio" },
+  {
+    label: "MP3 · 192 kbps",
+    quality: "audio",
+    audioFormat: "mp3",
+    audioBitrate: 192,
+  },
+];
+
+/* Choose backend automatically: the servers from the options page are
+   ranked by health-check latency; requests fail over down that list */
+let pool = backendPool(DEFAULTS.backends);
+let settings = DEFAULTS;
 
 let videoInfo = null;
+let playlistInfo = null;
 let busy = false;
 
 /* INIT */
-window.onload = () => {
+window.onload = async () => {
   $url.focus();
-  findWorkingBackend();
+  settings = await loadSettings();
+  pool = backendPool(settings.backends);
+  renderHistory((await chrome.storage.local.get(QUEUE_KEY))[QUEUE_KEY]);
+  /* a YouTube tab's formats are fetched right away: pool.request()
+     fails over on its own, the ranking only speeds it up */
+  if (await prefillFromTab()) pool.discover();
+  else await findWorkingBackend();
 };
 
+/* the worker owns the queue; we just mirror it */
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[QUEUE_KEY])
+    renderHistory(changes[QUEUE_KEY].newValue);
+});
+
 /* UI handlers */
 $arrow.onclick = () => !busy && fetchFormats();
-$download.onclick = () => !busy && videoInfo && startDownload();
+$download.onclick = () => {
+  if (busy) return;
+  if (playlistInfo) startBatch();
+  else if (videoInfo) startDownload();
+};
+$selectAll.onchange = () => {
+  $entries
+    .querySelectorAll("input:not(:disabled)")
+    .forEach((cb) => (cb.checked = $selectAll.checked));
+  updateSelectCount();
+};
+$entries.onchange = updateSelectCount;
+$captionBtn.onclick = () => !busy && videoInfo && downloadCaptions();
+$allFormats.onchange = () => !busy && videoInfo && fetchFormats();
+$url.oninput = () => prefillStart($url.value.trim());
+$clearHistory.onclick = () => sendToWorker("clear-history");
+$info.onclick = (e) => {
+  if (e.target.id !== "openOptions") return;
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+};
+$historyList.onclick = (e) => {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+  const { action, id, downloadId } = btn.dataset;
+  if (action === "show") chrome.downloads.show(+downloadId);
+  else sendToWorker(action, { id }).catch((err) => showError(err));
+};
 
 /* ---------------  backend discovery + health test  -------------- */
 async function findWorkingBackend() {
-  for (const url of BACKENDS) {
-    try {
-      showMsg(`🔄 Checking server: ${url} …`);
-      const r = await fetchWithTimeout(`${url}/`, 5000);
-      if (r.ok) {
-        backend = url;
-        showMsg("✅ Server connected. Ready to use.");
-        return;
-      }
-    } catch (_) {
-      /* ignore */
-    }
+  showMsg("🔄 Checking servers…");
+  const results = await pool.discover();
+  const best = results?.find((r) => r.url === pool.current);
+  if (!results || best.ok) {
+    const latency = best ? ` (${best.latency} ms)` : "";
+    showMsg(
+      `✅ Connected to ${escapeHtml(new URL(pool.current).host)}${latency}.`
+    );
+    return;
   }
   showMsg(
     "⚠️ No server reachable. It will start automatically on first request (may take 20–30 s)."
   );
 }
 
+/* ---------------  active tab -> URL field  ---------------------- */
+/* true if the tab was a YouTube page and its formats are on the way */
+async function prefillFromTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  let parsed;
+  try {
+    parsed = parseYtUrl(tab?.url);
+  } catch (_) {
+    return false; // not a YouTube page – leave the field for pasting
+  }
+  if ($url.value.trim() || busy) return false;
+  $url.value = parsed.url;
+  prefillStart(tab.url); // the field holds the canonical URL, without t=
+  fetchFormats();
+  return true;
+}
+
 /* ---------------  fetch available formats  ---------------------- */
 async function fetchFormats() {
   const yt = $url.value.trim();
-  if (!isValidYtUrl(yt)) return showMsg("❌ Please enter a valid YouTube URL");
+  let parsed;
+  try {
+    parsed = parseYtUrl(yt);
+  } catch (e) {
+    return showMsg(`❌ ${escapeHtml(e.message)}`);
+  }
+  if (!parsed.videoId) return fetchPlaylist();
 
   setBusy(true);
   showMsg('<span class="spinner"></span> Fetching video info…');
 
   try {
-    const r = await fetchWithRetry(
-      `${backend}/info?url=${encodeURIComponent(yt)}`,
-      2,
-      45000
+    videoInfo = await pool.request((backend) =>
+      getInfo(backend, yt, { all: $allFormats.checked })
     );
-
-    if (!r.ok) {
-      const msg =
-        (await r.json().catch(() => ({}))).error || `HTTP ${r.status}`;
-      throw new Error(msg);
-    }
-
-    videoInfo = await r.json();
+    playlistInfo = null;
     if (!videoInfo.formats?.length)
       throw new Error("No downloadable formats found");
 
-    buildSelect(videoInfo.formats);
-    $quality.hidden = false;
-    $download.hidden = false;
-    $arrow.hidden = true;
+    buildSelect(
+      videoInfo.formats,
+      videoInfo.formats.indexOf(pickFormat(videoInfo.formats, settings))
+    );
+    showControls(VIDEO_CONTROLS);
+    buildCaptionSelect(videoInfo.captions || []);
     showMsg(`🎬 <b>${escapeHtml(videoInfo.title)}</b>`);
   } catch (e) {
     console.error("fetchFormats error:", e);
-    $quality.innerHTML = "";
-    $quality.hidden = true;
-    $download.hidden = true;
-    $arrow.hidden = false;
-
-    /* Distinguish CORS / network vs server errors */
-    if (e.name === "AbortError" || e.message === "Failed to fetch")
-      showMsg("❌ Network / CORS error: could not reach the server.");
-    else showMsg(`❌ ${e.message}`);
+    showLoadError(e);
   } finally {
     setBusy(false);
   }
 }
 
-/* ---------------  start the download via Chrome API ------------- */
-function startDownload() {
+/* ---------------  fetch playlist entries  ----------------------- */
+async function fetchPlaylist() {
   const yt = $url.value.trim();
-  const itag = $quality.value;
-  if (!yt || !itag) return showMsg("❌ Missing URL or format");
+  setBusy(true);
+  showMsg('<span class="spinner"></span> Fetching playlist…');
+
+  try {
+    playlistInfo = await pool.request(async (backend) => {
+      const r = await fetchWithRetry(
+        `${backend}/playlist?url=${encodeURIComponent(yt)}`,
+        2,
+        45000
+      );
+      if (!r.ok) throw await httpError(r);
+      return r.json();
+    });
+    videoInfo = null;
+    if (!playlistInfo.entries?.length) throw new Error("Playlist is empty");
+
+    buildSelect(BATCH_QUALITIES, defaultBatchQuality());
+    buildEntryList(playlistInfo.entries);
+    showControls(PLAYLIST_CONTROLS);
+    const missing = playlistInfo.unavailable
+      ? ` · ${playlistInfo.unavailable} unavailable`
+      : "";
+    showMsg(
+      `📃 <b>${escapeHtml(playlistInfo.title)}</b> · ` +
+        `${playlistInfo.entries.length} videos${missing}`
+    );
+  } catch (e) {
+    console.error("fetchPlaylist error:", e);
+    showLoadError(e);
+  } finally {
+    setBusy(false);
+  }
+}
+
+function showControls(list) {
+  ALL_CONTROLS.forEach((el) => (el.hidden = !list.includes(el)));
+  $arrow.hidden = true;
+}
+
+function showLoadError(e) {
+  videoInfo = playlistInfo = null;
+  $quality.innerHTML = "";
+  ALL_CONTROLS.forEach((el) => (el.hidden = true));
+  $arrow.hidden = false;
+
+  showError(e);
+}
+
+/* the server's error code -> what happened and what the user can do;
+   errors without a code (network, Chrome) show their own message */
+const OPTIONS_LINK = '<a href="#" id="openOptions">options page</a>';
+const KEY_CODES = ["AUTH_REQUIRED", "AUTH_INVALID"];
+
+function showError(e, prefix = "") {
+  /* Distinguish CORS / network vs server errors */
+  if (e.name === "AbortError" || e.message === "Failed to fetch")
+    return showMsg("❌ Network / CORS error: could not reach the server.");
+  const { code, message, action } = describeError(e);
+  if (KEY_CODES.includes(code))
+    return showMsg(
+      `🔑 ${escapeHtml(message)} Set your key on the ${OPTIONS_LINK}.`
+    );
+  const when = e.retryAt
+    ? ` (after ${new Date(e.retryAt).toLocaleTimeString()})`
+    : "";
+  const hint = action
+    ? `<br><span class="hint">${escapeHtml(action)}${when}</span>`
+    : "";
+  /* quoted in bug reports, it finds the failure in the server logs */
+  const ref = e.ref
+    ? `<br><span class="hint">Ref: ${escapeHtml(e.ref)}</span>`
+    : "";
+  showMsg(`❌ ${prefix}${escapeHtml(message)}${hint}${ref}`);
+}
+
+/* ---------------  hand the download to the background queue ---- */
+async function startDownload() {
+  const yt = $url.value.trim();
+  const format = videoInfo.formats[$quality.value];
+  if (!yt || !format) return showMsg("❌ Missing URL or format");
+  const { itag, audioFormat, audioBitrate } = format;
 
   setBusy(true);
-  showMsg('<span class="spinner"></span> Downloading…');
-
-  const dlUrl = `${backend}/download?url=${encodeURIComponent(
-    yt
-  )}&itag=${itag}`;
-  chrome.downloads.download(
-    {
-      url: dlUrl,
-      filename: `YouTube/${sanitize(videoInfo.title)}.mp4`,
+  try {
+    const { url, videoId } = parseYtUrl(yt);
+    await sendToWorker("enqueue", {
+      item: {
+        url,
+        videoId,
+        title: videoInfo.title,
+        channel: videoInfo.channel,
+        uploadDate: videoInfo.uploadDate,
+        quality: format.label,
+        request: {
+          itag,
+          audioFormat,
+          audioBitrate,
+          metadata: $metadata.checked,
+          start: $start.value.trim(),
+          end: $end.value.trim(),
+          accurate: $accurate.checked,
+          subtitles: $embedCaptions.checked
+            ? videoInfo.captions[$captions.value]?.id
+            : null,
+          filename: settings.filenameTemplate,
+        },
+      },
+    });
+    showMsg("✅ Added to the download queue.");
+    $history.open = true;
+  } catch (e) {
+    console.error("startDownload error:", e);
+    showError(e, "Download failed: ");
+  } finally {
+    setBusy(false);
+  }
+}
+
+/* ---------------  subtitles  ----------------------------------- */
+/* fetched here rather than by Chrome, so a failing backend fails over
+   and a coded error reaches the user; Chrome then saves the text */
+async function downloadCaptions() {
+  const track = videoInfo.captions[$captions.value];
+  const format = $captionFormat.value;
+  const params = new URLSearchParams({
+    url: $url.value.trim(),
+    track: track.id,
+    format,
+    filename: settings.filenameTemplate,
+  });
+  setBusy(true);
+  showMsg('<span class="spinner"></span> Fetching subtitles…');
+  try {
+    const text = await pool.request(async (backend) => {
+      const r = await fetchWithRetry(`${backend}/subtitles?${params}`, 2);
+      if (!r.ok) throw await httpError(r);
+      return r.text();
+    });
+    await chromeDownload({
+      url: `data:text/plain;charset=utf-8,${encodeURIComponent(text)}`,
+      filename: downloadPath(settings, {
+        title: videoInfo.title,
+        channel: videoInfo.channel,
+        id: parseYtUrl($url.value.trim()).videoId,
+        upload_date: videoInfo.uploadDate,
+        quality: track.lang,
+        ext: `${track.lang}.${format}`,
+      }),
       conflictAction: "uniquify",
-      saveAs: true,
-    },
-    (id) => {
-      setBusy(false);
-      if (chrome.runtime.lastError)
-        showMsg("❌ Download failed: " + chrome.runtime.lastError.message);
-      else showMsg("✅ Download started. Check your Downloads folder.");
-    }
+      saveAs: settings.saveAs,
+    });
+    showMsg("✅ Subtitle download started.");
+  } catch (e) {
+    console.error("downloadCaptions error:", e);
+    showError(e, "Subtitle download failed: ");
+  } finally {
+    setBusy(false);
+  }
+}
+
+/* ---------------  playlist batch  ------------------------------ */
+async function startBatch() {
+  const selected = [...$entries.querySelectorAll("input:checked")].map(
+    (cb) => playlistInfo.entries[cb.value]
+  );
+  if (!selected.length) return showMsg("❌ Select at least one video");
+  const { label, quality, audioFormat, audioBitrate } =
+    BATCH_QUALITIES[$quality.value];
+  const folder = downloadDir(
+    settings.folder,
+    sanitizeFilename(playlistInfo.title) || "Playlist"
   );
+  /* keep entries numbered unless the template places the index itself */
+  const template = settings.filenameTemplate.includes("{playlist_index}")
+    ? settings.filenameTemplate
+    : `{playlist_index} - ${settings.filenameTemplate}`;
+
+  setBusy(true);
+  try {
+    await sendToWorker("enqueue", {
+      item: {
+        url: $url.value.trim(),
+        title: playlistInfo.title,
+        quality: `${label} · ${selected.length} videos`,
+        batch: {
+          title: playlistInfo.title,
+          entries: selected.map(({ id, index, title }) => ({
+            id,
+            index,
+            title,
+          })),
+          quality,
+          audioFormat,
+          audioBitrate,
+          metadata: $metadata.checked,
+          bundle: $bundle.value,
+          filename: template,
+          folder,
+        },
+      },
+    });
+    showMsg("✅ Playlist added to the download queue.");
+    $history.open = true;
+  } catch (e) {
+    console.error("startBatch error:", e);
+    showError(e, "Batch failed: ");
+  } finally {
+    setBusy(false);
+  }
 }
 
 /* ---------------  helpers --------------------------------------- */
-function buildSelect(list) {
+/* formats carrying a `group` are rendered as <optgroup>s;
+   option values index into videoInfo.formats */
+function buildSelect(list, selected = 0) {
   $quality.innerHTML = "";
-  list.forEach((f) => {
+  const groups = new Map();
+  list.forEach((f, i) => {
     const o = document.createElement("option");
-    o.value = f.itag;
-    o.textContent = `${f.label} · ${f.sizeMB}`;
-    $quality.appendChild(o);
+    o.value = i;
+    o.textContent = f.sizeMB ? `${f.label} · ${f.sizeMB}` : f.label;
+
+    if (!f.group) return $quality.appendChild(o);
+    if (!groups.has(f.group)) {
+      const g = document.createElement("optgroup");
+      g.label = f.group;
+      groups.set(f.group, g);
+      $quality.appendChild(g);
+    }
+    groups.get(f.group).appendChild(o);
+  });
+  $quality.value = Math.max(0, selected);
+}
+
+/* default quality from the options page, as a BATCH_QUALITIES index */
+function defaultBatchQuality() {
+  const quality = settings.quality === "best" ? "1080p" : settings.quality;
+  const exact = BATCH_QUALITIES.findIndex(
+    (q) =>
+      q.quality === quality &&
+      (quality !== "audio" || (q.audioFormat || "") === settings.audioFormat)
+  );
+  return exact !== -1
+    ? exact
+    : BATCH_QUALITIES.findIndex((q) => q.quality === quality);
+}
+
+/* caption tracks; the row disappears for videos without any */
+function buildCaptionSelect(tracks) {
+  $captions.innerHTML = "";
+  tracks.forEach((t, i) => {
+    const o = document.createElement("option");
+    o.value = i;
+    o.textContent = t.auto ? `${t.name} (auto)` : t.name;
+    $captions.appendChild(o);
+  });
+  $captionRow.hidden = $embedCaptionsRow.hidden = !tracks.length;
+  $embedCaptions.checked = false;
+}
+
+/* playlist checklist; unavailable entries are shown but disabled */
+function buildEntryList(entries) {
+  $entries.innerHTML = "";
+  entries.forEach((e, i) => {
+    const li = document.createElement("li");
+    const label = document.createElement("label");
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.value = i;
+    cb.checked = e.available;
+    cb.disabled = !e.available;
+
+    const idx = document.createElement("span");
+    idx.className = "idx";
+    idx.textContent = String(e.index).padStart(2, "0");
+    const title = document.createElement("span");
+    title.className = "title";
+    title.textContent = e.title;
+    const dur = document.createElement("span");
+    dur.className = "dur";
+    dur.textContent = e.available ? e.durationText || "" : e.reason;
+
+    label.append(cb, idx, title, dur);
+    li.appendChild(label);
+    $entries.appendChild(li);
   });
-  $quality.selectedIndex = 0;
+  $selectAll.checked = true;
+  updateSelectCount();
+}
+
+function updateSelectCount() {
+  const n = $entries.querySelectorAll("input:checked").length;
+  $selectCount.textContent = `${n} selected`;
+}
+
+/* ---------------  queue + history panel  ---------------------- */
+const STATUS_LABELS = {
+  queued: "Queued",
+  preparing: "Preparing…",
+  downloading: "Downloading…",
+  done: "Done",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+function renderHistory(items = []) {
+  const active = items.filter((i) => !FINISHED.includes(i.status)).length;
+  $historyCount.textContent = active
+    ? `${active} active · ${items.length - active} done`
+    : `${items.length}`;
+  $clearHistory.hidden = active === items.length;
+  $historyList.innerHTML = "";
+
+  for (const item of items) {
+    const li = document.createElement("li");
+    li.className = item.status;
+
+    const title = document.createElement("span");
+    title.className = "title";
+    title.textContent = item.title || item.url;
+    const failure =
+      item.status === "failed" && item.error
+        ? describeError({ code: item.errorCode, message: item.error })
+        : null;
+    title.title = failure
+      ? [failure.action, item.error, item.errorRef && `Ref: ${item.errorRef}`]
+          .filter(Boolean)
+          .join("\n")
+      : item.filename || item.url;
+
+    const meta = document.createElement("span");
+    meta.className = "meta";
+    const status =
+      item.status === "preparing" && item.progress
+        ? item.progress.text
+        : failure
+        ? `Failed: ${failure.message}`
+        : STATUS_LABELS[item.status] || item.status;
+    meta.textContent = [
+      item.quality,
+      item.size && fmtBytes(item.size),
+      status,
+      item.failedCount && `${item.failedCount} failed`,
+      formatWhen(item.finishedAt || item.createdAt),
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    const actions = document.createElement("span");
+    actions.className = "actions";
+    if (item.status === "done")
+      actions.appendChild(
+        historyButton("📂", "Show in folder", {
+          action: "show",
+          downloadId: item.downloadId,
+        })
+      );
+    if (FINISHED.includes(item.status))
+      actions.appendChild(
+        historyButton("↻", "Download again", { action: "retry", id: item.id })
+      );
+    else
+      actions.appendChild(
+        historyButton("✕", "Cancel", { action: "cancel", id: item.id })
+      );
+
+    li.append(title, actions, meta);
+    /* the server job's progress, streamed to the worker over SSE */
+    if (item.status === "preparing" && item.progress?.percent != null) {
+      const bar = document.createElement("progress");
+      bar.max = 100;
+      bar.value = item.progress.percent;
+      li.appendChild(bar);
+    }
+    $historyList.appendChild(li);
+  }
+}
+
+function historyButton(text, title, data) {
+  const b = document.createElement("button");
+  b.textContent = text;
+  b.title = title;
+  Object.assign(b.dataset, data);
+  return b;
+}
+
+/* today: "14:05", older: "3 Mar" */
+function formatWhen(ms) {
+  const d = new Date(ms);
+  return d.toDateString() === new Date().toDateString()
+    ? d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : d.toLocaleDateString([], { day: "numeric", month: "short" });
+}
+
+/* message the service worker; rejects with its (coded) error */
+async function sendToWorker(type, payload = {}) {
+  const res = await chrome.runtime.sendMessage({ type, ...payload });
+  if (!res?.ok)
+    throw Object.assign(
+      new Error(res?.error || "No response from background"),
+      { code: res?.code || null, ref: res?.ref || null }
+    );
+  return res.result;
 }
 
 function setBusy(state) {
   busy = state;
   $arrow.disabled = state;
   $download.disabled = state;
+  $captionBtn.disabled = state;
 }
 
 function showMsg(html) {
@@ -146,29 +637,21 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
-const sanitize = (s) => s.replace(/[<>:"/\\|?*]+/g, "").trim();
-
-const isValidYtUrl = (url) =>
-  /^(https?:\/\/)?(www\.)?(youtube\.com\/watch\?v=|youtu\.be\/)/.test(url);
-
-/* ---------------  fetch helpers  -------------------------------- */
-function fetchWithTimeout(url, timeout = 30000, opts = {}) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeout);
-  return fetch(url, { ...opts, signal: controller.signal }).finally(() =>
-    clearTimeout(id)
-  );
+/* `t=` / `start=` from a pasted URL -> start field */
+function prefillStart(url) {
+  try {
+    const { start } = parseYtUrl(url);
+    if (start !== null) $start.value = formatTime(start);
+  } catch (_) {
+    /* not a URL (yet) – the user may still be typing */
+  }
 }
 
-async function fetchWithRetry(url, tries = 3, timeout = 30000) {
-  let lastErr;
-  for (let i = 0; i < tries; i++) {
-    try {
-      return await fetchWithTimeout(url, timeout);
-    } catch (e) {
-      lastErr = e;
-      await new Promise((r) => setTimeout(r, Math.min(2000 * 2 ** i, 10000)));
-    }
-  }
-  throw lastErr;
+/* 3723 -> "1:02:03", 90 -> "1:30" */
+function formatTime(sec) {
+  const s = Math.floor(sec % 60);
+  const m = Math.floor(sec / 60) % 60;
+  const h = Math.floor(sec / 3600);
+  const pad = (n) => String(n).padStart(2, "0");
+  return h ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
 }
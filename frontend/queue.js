@@ -0,0 +1,169 @@
+/* ----------  download queue + history  ----------
+   Owned by the service worker, which is the only writer. Items live in
+   chrome.storage.local so they survive the worker being stopped and so
+   the popup can render them (it listens to storage changes).
+
+   item: { id, url, videoId, title, quality, ext, request, direct, notify,
+           status, progress, backend, tried, jobId, downloadId, filename,
+           size, error, errorCode, errorRef, createdAt, finishedAt }
+         a playlist has `batch` (the POST /batches body + folder) instead
+         of `request`, and gets batchId / failedCount
+   status: queued -> preparing (server job) -> downloading (Chrome fetches
+           the file) -> done | failed | cancelled */
+
+export const QUEUE_KEY = "downloads";
+export const FINISHED = ["done", "failed", "cancelled"];
+const HISTORY_LIMIT = 100;
+
+let items = [];
+let loading = null;
+let concurrency = 2;
+let runItem; // set by startQueue(), which resolves `started`
+let ready;
+const started = new Promise((resolve) => (ready = resolve));
+const running = new Map(); // item id -> AbortController
+const listeners = new Set();
+
+function load() {
+  loading ||= chrome.storage.local.get(QUEUE_KEY).then((saved) => {
+    items = saved[QUEUE_KEY] || [];
+    /* the worker was stopped while the server prepared these */
+    for (const item of items)
+      if (item.status === "preparing")
+        Object.assign(item, { status: "queued", progress: null });
+  });
+  return loading;
+}
+
+const persist = () => chrome.storage.local.set({ [QUEUE_KEY]: items });
+
+/**
+ * `run(item, signal)` does the work for one queued item and resolves
+ * with the patch to apply once Chrome has taken over the file (status
+ * "downloading" + downloadId, or "done" when there is nothing left to
+ * follow); a rejection marks the item failed.
+ * `signal` aborts when the item is cancelled meanwhile.
+ */
+export async function startQueue({ run, concurrency: n }) {
+  runItem = run;
+  concurrency = n;
+  await load();
+  ready();
+  pump();
+}
+
+export function setConcurrency(n) {
+  concurrency = n;
+  pump();
+}
+
+export async function enqueue(data) {
+  await load();
+  const item = {
+    id: crypto.randomUUID(),
+    direct: false,
+    notify: false,
+    ...data,
+    status: "queued",
+    progress: null,
+    backend: null,
+    tried: [],
+    jobId: null,
+    downloadId: null,
+    filename: null,
+    size: null,
+    error: null,
+    errorCode: null, // the server's code, see shared/errors.js
+    errorRef: null, // request / job id to look up in the server logs
+    createdAt: Date.now(),
+    finishedAt: null,
+  };
+  items.unshift(item);
+  prune();
+  await persist();
+  pump();
+  return item;
+}
+
+export async function updateItem(id, patch) {
+  await load();
+  const item = items.find((i) => i.id === id);
+  if (!item) return null;
+  Object.assign(item, patch);
+  if (FINISHED.includes(patch.status)) item.finishedAt = Date.now();
+  await persist();
+  listeners.forEach((fn) => fn(item));
+  return item;
+}
+
+export async function findItem(predicate) {
+  await load();
+  return items.find(predicate) || null;
+}
+
+export async function clearFinished() {
+  await load();
+  items = items.filter((i) => !FINISHED.includes(i.status));
+  await persist();
+}
+
+/* marks an unfinished item cancelled and aborts its run; resolves with
+   the item as it was, so the caller can undo what Chrome already has */
+export async function cancelItem(id) {
+  await load();
+  const item = items.find((i) => i.id === id);
+  if (!item || FINISHED.includes(item.status)) return null;
+  const before = { ...item };
+  running.get(id)?.abort();
+  await updateItem(id, { status: "cancelled", progress: null });
+  return before;
+}
+
+/* fn(item) after every update; returns an unsubscribe function */
+export function onItemChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/* newest first, so the oldest finished entries go */
+function prune() {
+  const finished = items.filter((i) => FINISHED.includes(i.status));
+  const drop = new Set(finished.slice(HISTORY_LIMIT));
+  if (drop.size) items = items.filter((i) => !drop.has(i));
+}
+
+/* start the oldest queued items while there are free slots; a slot is
+   freed once Chrome has the file, not when the transfer completes.
+   A cold worker can be asked to enqueue before startQueue() ran, so
+   nothing starts until it has. */
+async function pump() {
+  await started;
+  for (;;) {
+    if (running.size >= concurrency) return;
+    const next = items.findLast(
+      (i) => i.status === "queued" && !running.has(i.id)
+    );
+    if (!next) return;
+
+    const controller = new AbortController();
+    running.set(next.id, controller);
+    updateItem(next.id, { status: "preparing" })
+      .then(() => runItem(next, controller.signal))
+      .then(
+        (patch) => controller.signal.aborted || updateItem(next.id, patch),
+        (e) =>
+          controller.signal.aborted ||
+          updateItem(next.id, {
+            status: "failed",
+            progress: null,
+            error: e.message,
+            errorCode: e.code || null,
+            errorRef: e.ref || null,
+          })
+      )
+      .finally(() => {
+        running.delete(next.id);
+        pump();
+      });
+  }
+}
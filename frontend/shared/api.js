@@ -0,0 +1,425 @@
+/* ----------  backend client, shared by all extension scripts  ----------
+   Everything that talks to the server or turns a job into text lives here
+   so the popup, the service worker and the in-page button behave alike. */
+
+export const DEFAULT_BACKEND = "http://localhost:3000";
+
+/* tried in order: a local dev server first, then the hosted one */
+export const BACKENDS = [DEFAULT_BACKEND, "https://youtube-ext-1.onrender.com"];
+
+/* ---------------  API key  ------------------------------------- */
+/* set by loadSettings(); a key belongs to one server, so it is only
+   sent to that backend's origin (Chrome's chrome.downloads requests
+   included) and never to the others or their health probes */
+let apiKey = "";
+let keyOrigin = "";
+export function setApiKey(key, backend) {
+  apiKey = (key || "").trim();
+  keyOrigin = originOf(backend);
+}
+export const authHeaders = (url) =>
+  apiKey && keyOrigin && originOf(url) === keyOrigin
+    ? { Authorization: `Bearer ${apiKey}` }
+    : {};
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return "";
+  }
+}
+
+/* ---------------  fetch helpers  -------------------------------- */
+export function fetchWithTimeout(url, timeout = 30000, opts = {}) {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeout);
+  return fetch(url, {
+    ...opts,
+    headers: { ...authHeaders(url), ...opts.headers },
+    signal: controller.signal,
+  }).finally(() => clearTimeout(id));
+}
+
+export async function fetchWithRetry(url, tries = 3, timeout = 30000) {
+  let lastErr;
+  for (let i = 0; i < tries; i++) {
+    try {
+      return await fetchWithTimeout(url, timeout);
+    } catch (e) {
+      lastErr = e;
+      await sleep(Math.min(2000 * 2 ** i, 10000));
+    }
+  }
+  throw lastErr;
+}
+
+/* Error for a non-2xx response, keeping the status for failover, the
+   server's error code (see errors.js) for describeError and, as `ref`,
+   the request id to find it in the server logs */
+export async function httpError(r) {
+  const body = await r.json().catch(() => ({}));
+  const err = new Error(body.error || `HTTP ${r.status}`);
+  err.status = r.status;
+  err.code = body.code || null;
+  err.retryAt = body.retryAt || null;
+  err.ref = r.headers.get("X-Request-Id");
+  return err;
+}
+
+/* Error for a failed or cancelled job / batch; the server logs every
+   step of it under its id */
+export function jobError(job) {
+  const err = new Error(job.error || "Job failed");
+  err.code = job.code || null;
+  err.ref = job.id;
+  return err;
+}
+
+export const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* ---------------  backend discovery  ---------------------------- */
+/* the last ranking is shared by popup and worker via storage.local,
+   so most popup opens skip the probe round */
+const RANKING_KEY = "backendRanking";
+const RANKING_TTL = 10 * 60_000;
+
+/* GET / on every backend at once -> [{ url, ok, latency }] */
+export function probeBackends(list, timeout = 5000) {
+  return Promise.all(
+    list.map(async (url) => {
+      const t0 = performance.now();
+      try {
+        const r = await fetchWithTimeout(`${url}/`, timeout);
+        return { url, ok: r.ok, latency: Math.round(performance.now() - t0) };
+      } catch (_) {
+        return { url, ok: false, latency: null };
+      }
+    })
+  );
+}
+
+/* healthy backends fastest first, then the rest in configured order */
+export async function rankBackends(list) {
+  const results = await probeBackends(list);
+  const healthy = results
+    .filter((r) => r.ok)
+    .sort((a, b) => a.latency - b.latency);
+  const order = [...healthy, ...results.filter((r) => !r.ok)].map(
+    (r) => r.url
+  );
+  return { order, results };
+}
+
+/* worth retrying on another backend: unreachable, overloaded, or
+   throttled by YouTube (each server has its own IP) – even when that
+   only showed once a job failed */
+export const isBackendFailure = (e) =>
+  e.name === "AbortError" ||
+  e instanceof TypeError ||
+  e.status === 429 ||
+  e.status >= 500 ||
+  e.code === "UPSTREAM_THROTTLED";
+
+/**
+ * Ordered backend list with failover. `discover()` ranks the configured
+ * servers (or reuses a fresh cached ranking); `request(fn)` runs
+ * fn(backend) on the best one and moves down the ranking while it fails
+ * with a backend failure, promoting whichever server answered. Once
+ * `signal` aborts, failures are final (the user cancelled).
+ */
+export function backendPool(list) {
+  let order = [...list];
+
+  const save = () =>
+    chrome.storage.local.set({
+      [RANKING_KEY]: { list, order, at: Date.now() },
+    });
+
+  function promote(url) {
+    order = [url, ...order.filter((u) => u !== url)];
+    save();
+  }
+
+  return {
+    get current() {
+      return order[0];
+    },
+
+    /* probe results, or null when a cached ranking was reused */
+    async discover({ force = false } = {}) {
+      const { [RANKING_KEY]: saved } = await chrome.storage.local.get(
+        RANKING_KEY
+      );
+      const fresh =
+        saved &&
+        Date.now() - saved.at < RANKING_TTL &&
+        saved.list.join() === list.join();
+      if (fresh && !force) {
+        order = saved.order;
+        return null;
+      }
+      const ranked = await rankBackends(list);
+      order = ranked.order;
+      if (ranked.results.some((r) => r.ok)) save();
+      return ranked.results;
+    },
+
+    async request(fn, signal) {
+      let lastErr;
+      for (const url of [...order]) {
+        try {
+          const result = await fn(url);
+          if (url !== order[0]) promote(url);
+          return result;
+        } catch (e) {
+          if (!isBackendFailure(e) || signal?.aborted) throw e;
+          console.warn(`backend ${url} failed:`, e.message);
+          lastErr = e;
+        }
+      }
+      throw lastErr;
+    },
+
+    /* best backend not in `tried`, or null */
+    next(tried) {
+      return order.find((u) => !tried.includes(u)) || null;
+    },
+  };
+}
+
+/* ---------------  API calls  ------------------------------------ */
+export async function getInfo(backend, url, { all = false } = {}) {
+  const mode = all ? "&mode=all" : "";
+  const r = await fetchWithRetry(
+    `${backend}/info?url=${encodeURIComponent(url)}${mode}`,
+    2,
+    45000
+  );
+  if (!r.ok) throw await httpError(r);
+  return r.json();
+}
+
+/* body: { url, itag, audioFormat, audioBitrate, metadata, start, … } */
+export async function createJob(backend, body) {
+  const r = await fetchWithTimeout(`${backend}/jobs`, 30000, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!r.ok) throw await httpError(r);
+  return r.json();
+}
+
+/* poll /jobs/:id until the artifact is ready; stops when `signal` aborts */
+export async function pollJob(backend, id, onProgress = () => {}, signal) {
+  for (;;) {
+    signal?.throwIfAborted();
+    const r = await fetchWithRetry(`${backend}/jobs/${id}`, 3, 15000);
+    if (!r.ok) throw await httpError(r);
+
+    const job = await r.json();
+    if (job.phase === "ready") return job;
+    if (job.phase === "failed" || job.phase === "cancelled")
+      throw jobError(job);
+
+    onProgress(job);
+    await sleep(1000);
+  }
+}
+
+/* body: { title, entries, quality, audioFormat, bundle, filename, … } */
+export async function createBatch(backend, body) {
+  const r = await fetchWithTimeout(`${backend}/batches`, 30000, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!r.ok) throw await httpError(r);
+  return r.json();
+}
+
+/* poll /batches/:id until every entry has settled */
+export async function pollBatch(backend, id, onProgress = () => {}, signal) {
+  for (;;) {
+    signal?.throwIfAborted();
+    const r = await fetchWithRetry(`${backend}/batches/${id}`, 3, 15000);
+    if (!r.ok) throw await httpError(r);
+
+    const batch = await r.json();
+    if (batch.phase === "ready") return batch;
+    if (batch.phase === "failed" || batch.phase === "cancelled")
+      throw jobError(batch);
+
+    onProgress(batch);
+    await sleep(1500);
+  }
+}
+
+/**
+ * Follow /jobs/:id/events until the job settles, calling onProgress(job)
+ * for every update; resolves with the ready job. Read with fetch, since
+ * EventSource can't send the Authorization header. Falls back to
+ * pollJob when the stream can't be opened or breaks off.
+ */
+export async function watchJob(backend, id, onProgress = () => {}, signal) {
+  const job = await streamJob(backend, id, onProgress, signal).catch((e) => {
+    /* cancelled, or the server answered – polling won't do better */
+    if (signal?.aborted || e.code) throw e;
+    console.warn(`job stream ${id} failed, polling instead:`, e.message);
+    return null;
+  });
+  if (!job) return pollJob(backend, id, onProgress, signal);
+  if (job.phase !== "ready") throw jobError(job);
+  return job;
+}
+
+/* the server pings every 15 s; two missed pings means it's gone, even
+   if the connection never closed */
+const STREAM_IDLE = 35000;
+
+/* the settled job from the event stream, or null if it ended early */
+async function streamJob(backend, id, onProgress, signal) {
+  const idle = new AbortController();
+  let timer;
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => idle.abort(), STREAM_IDLE);
+  };
+  touch();
+  try {
+    const r = await fetch(`${backend}/jobs/${id}/events`, {
+      headers: { ...authHeaders(backend), Accept: "text/event-stream" },
+      signal: signal ? AbortSignal.any([signal, idle.signal]) : idle.signal,
+    });
+    if (!r.ok) throw await httpError(r);
+    for await (const { event, data } of sseEvents(r.body, touch)) {
+      const job = JSON.parse(data);
+      if (event !== "progress") return job; // ready, failed or cancelled
+      onProgress(job);
+    }
+    return null;
+  } catch (e) {
+    if (!idle.signal.aborted || signal?.aborted) throw e;
+    console.warn(`job stream ${id} went quiet, polling instead`);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/* { event, data } for each message of a text/event-stream body;
+   onChunk() whenever anything arrives, keep-alive comments included */
+async function* sseEvents(body, onChunk = () => {}) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    onChunk();
+    buffer += value;
+    let end;
+    while ((end = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      let event = "message";
+      let data = "";
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event: ")) event = line.slice(7);
+        else if (line.startsWith("data: ")) data += line.slice(6);
+      }
+      if (data) yield { event, data }; // ": ping" comments have none
+    }
+  }
+}
+
+/* stop a job (or batch) on the server; best effort, never throws */
+export const cancelOnServer = (backend, path) =>
+  fetchWithTimeout(`${backend}${path}`, 10000, { method: "DELETE" }).catch(
+    (e) => console.warn(`cancel ${path} failed:`, e.message)
+  );
+
+export const jobFileUrl = (backend, job) => `${backend}/jobs/${job.id}/file`;
+
+/* ---------------  job -> text  ---------------------------------- */
+export const PHASE_LABELS = {
+  "fetching-info": "Fetching video info",
+  "downloading-video": "Downloading video",
+  "downloading-audio": "Downloading audio",
+  muxing: "Merging audio and video",
+  transcoding: "Converting audio",
+  subtitling: "Embedding subtitles",
+  trimming: "Cutting clip",
+  tagging: "Embedding tags and cover art",
+};
+
+export const jobStage = (job) =>
+  ({
+    "downloading-video": job.video,
+    "downloading-audio": job.audio,
+    muxing: job.mux,
+    transcoding: job.transcode,
+    trimming: job.trim,
+  }[job.phase] || null);
+
+/* job.queue.stage -> what the job is waiting for */
+const QUEUE_LABELS = {
+  download: "Waiting for a download slot",
+  mux: "Waiting for a free converter",
+};
+
+export function describeJob(job) {
+  if (job.queue)
+    return `${QUEUE_LABELS[job.queue.stage] || "Queued"} (#${
+      job.queue.position
+    } in line)…`;
+  const label = PHASE_LABELS[job.phase] || job.phase;
+  const stage = jobStage(job);
+  if (!stage) return `${label}…`;
+
+  const bytes = stage.total
+    ? ` (${fmtBytes(stage.downloaded)} / ${fmtBytes(stage.total)})`
+    : "";
+  return `${label}… ${Math.floor(stage.percent)}%${bytes}`;
+}
+
+/* the entry being worked on, or null between entries */
+const currentEntry = (batch) =>
+  batch.entries.find((e) => !["ready", "failed", "queued"].includes(e.phase));
+
+export function describeBatch(batch) {
+  if (batch.phase === "bundling") return "Creating ZIP archive…";
+  const current = currentEntry(batch);
+  const settled = batch.done + batch.failed;
+  return (
+    `Video ${Math.min(settled + 1, batch.total)}/${batch.total}` +
+    (current?.title ? ` · ${current.title}` : "") +
+    (current?.queue ? ` · #${current.queue.position} in line` : "")
+  );
+}
+
+export const batchPercent = (batch) =>
+  ((batch.done + batch.failed) * 100 + (currentEntry(batch)?.percent || 0)) /
+  batch.total;
+
+export const fmtBytes = (n) =>
+  n >= 1e9
+    ? `${(n / 1e9).toFixed(2)} GB`
+    : n >= 1e6
+    ? `${(n / 1e6).toFixed(1)} MB`
+    : `${Math.round(n / 1e3)} kB`;
+
+/* ---------------  chrome.downloads  ----------------------------- */
+export function chromeDownload(opts) {
+  const headers = Object.entries(authHeaders(opts.url)).map(
+    ([name, value]) => ({ name, value })
+  );
+  if (headers.length) opts = { ...opts, headers };
+  return new Promise((ok, fail) =>
+    chrome.downloads.download(opts, (id) =>
+      chrome.runtime.lastError
+        ? fail(new Error(chrome.runtime.lastError.message))
+        : ok(id)
+    )
+  );
+}
@@ -0,0 +1,139 @@
+/* ----------  error codes, shared by server and extension  ----------
+   Plain ES module with no dependencies, like yturl.js. Every error the
+   server answers with is JSON { error, code, … }: `error` is the detail
+   for logs and tooltips, `code` one of ERRORS and stable across releases,
+   so clients branch on it rather than on the wording. */
+
+/* code -> HTTP status, what to tell the user, and what they can do */
+export const ERRORS = {
+  INVALID_REQUEST: {
+    status: 400,
+    message: "The request was not valid.",
+    action: "Check the link and options, then try again.",
+  },
+  INVALID_URL: {
+    status: 400,
+    message: "That doesn't look like a YouTube video link.",
+    action: "Open the video itself and try again.",
+  },
+  AUTH_REQUIRED: {
+    status: 401,
+    message: "This server needs an API key.",
+    action: "Enter your key in the extension options.",
+  },
+  AUTH_INVALID: {
+    status: 401,
+    message: "The server didn't accept your API key.",
+    action: "Check the key in the extension options.",
+  },
+  VIDEO_PRIVATE: {
+    status: 403,
+    message: "This video is private.",
+    action: "Only its owner and invited viewers can watch it.",
+  },
+  MEMBERS_ONLY: {
+    status: 403,
+    message: "This video is for channel members only.",
+    action: "It can't be downloaded without a membership.",
+  },
+  VIDEO_UNAVAILABLE: {
+    status: 410,
+    message: "This video is unavailable.",
+    action: "It may have been removed or blocked in the server's region.",
+  },
+  PLAYLIST_NOT_FOUND: {
+    status: 404,
+    message: "Playlist not found or private.",
+    action: "Check that the playlist is public or unlisted.",
+  },
+  FORMAT_NOT_FOUND: {
+    status: 404,
+    message: "That format is no longer offered for this video.",
+    action: "Reload the formats and pick another one.",
+  },
+  CAPTIONS_NOT_FOUND: {
+    status: 404,
+    message: "That subtitle track isn't available.",
+    action: "Reload the formats and pick another track.",
+  },
+  NOT_FOUND: {
+    status: 404,
+    message: "The server doesn't have that (any more).",
+    action: "Downloads expire after a while; start it again.",
+  },
+  NOT_READY: {
+    status: 409,
+    message: "The file isn't ready yet.",
+    action: "Wait for the download to finish.",
+  },
+  CANCELLED: {
+    status: 409,
+    message: "The download was cancelled.",
+    action: "Start it again if you still want the file.",
+  },
+  LIVE_NOT_SUPPORTED: {
+    status: 422,
+    message: "Live streams can't be downloaded.",
+    action: "Try again once the stream has ended.",
+  },
+  AGE_RESTRICTED: {
+    status: 451,
+    message: "This video is age-restricted.",
+    action: "The server needs a signed-in YouTube cookie to fetch it.",
+  },
+  RATE_LIMITED: {
+    status: 429,
+    message: "Too many requests from this browser.",
+    action: "Wait a moment, then try again.",
+  },
+  QUOTA_EXCEEDED: {
+    status: 429,
+    message: "Your daily quota on this server is used up.",
+    action: "It resets at midnight UTC.",
+  },
+  UPSTREAM_THROTTLED: {
+    status: 503,
+    message: "YouTube is throttling the server.",
+    action: "Try again later, or switch to another backend.",
+  },
+  SERVER_BUSY: {
+    status: 503,
+    message: "The server is busy.",
+    action: "Try again in a little while.",
+  },
+  DISK_FULL: {
+    status: 507,
+    message: "The server is out of space.",
+    action: "Try again later.",
+  },
+  DOWNLOAD_FAILED: {
+    status: 502,
+    message: "Downloading from YouTube failed.",
+    action: "Try again.",
+  },
+  MUX_FAILED: {
+    status: 500,
+    message: "Converting the file failed.",
+    action: "Try another format or quality.",
+  },
+  INTERNAL: {
+    status: 500,
+    message: "Something went wrong on the server.",
+    action: "Try again; if it keeps failing, try another backend.",
+  },
+};
+
+/**
+ * { message, action, code } to show for an error that may carry a server
+ * `code`; without a known one it falls back to the error's own message.
+ */
+export function describeError(err) {
+  const known = ERRORS[err?.code];
+  if (known)
+    return { code: err.code, message: known.message, action: known.action };
+  return {
+    code: null,
+    message: err?.message || String(err || "Unknown error"),
+    action: null,
+  };
+}
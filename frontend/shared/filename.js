@@ -0,0 +1,125 @@
+/* ----------  filename templates, shared by server and extension  ----------
+   Plain ES module with no dependencies, like yturl.js. Titles keep their
+   Unicode; only what the target OS can't store is replaced. */
+
+export const DEFAULT_TEMPLATE = "{title}";
+export const TOKENS = [
+  "title",
+  "channel",
+  "id",
+  "upload_date",
+  "quality",
+  "ext",
+  "playlist_index",
+];
+
+/* characters each OS refuses in a file name; the server can't know the
+   client's OS, so it uses "win", the strictest */
+const RESERVED = {
+  win: /[<>:"/\\|?*]/g,
+  mac: /[:/]/g,
+  linux: /\//g,
+};
+const LOOKALIKES = {
+  "/": "-",
+  "\\": "-",
+  "|": "-",
+  ":": " -",
+  "<": "(",
+  ">": ")",
+  '"': "'",
+};
+const CONTROL = /[\u0000-\u001f\u007f-\u009f\u200e\u200f\u202a-\u202e]/g;
+const WIN_DEVICES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+/* most file systems cap names at 255 bytes; stay clear of that so the
+   browser can still append " (1)" */
+const MAX_BYTES = 200;
+
+const utf8Length = (s) => new TextEncoder().encode(s).length;
+
+/* cut at a code-point boundary so no character is split */
+function truncateBytes(s, max) {
+  if (utf8Length(s) <= max) return s;
+  let out = "";
+  let bytes = 0;
+  for (const ch of s) {
+    bytes += utf8Length(ch);
+    if (bytes > max) break;
+    out += ch;
+  }
+  return out;
+}
+
+/**
+ * One path segment that is safe to create on `os` ("win" | "mac" |
+ * "linux"): no reserved or control characters, no leading dots, no
+ * trailing dots or spaces, no Windows device names, at most `maxBytes`
+ * of UTF-8. May return "" when nothing usable is left.
+ */
+export function sanitizeFilename(
+  name,
+  { os = "win", maxBytes = MAX_BYTES } = {}
+) {
+  let s = String(name ?? "")
+    .normalize("NFC")
+    .replace(CONTROL, "")
+    .replace(RESERVED[os] || RESERVED.win, (c) => LOOKALIKES[c] ?? "")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s.]+/, "");
+  s = truncateBytes(s, maxBytes).replace(/[\s.]+$/, "");
+  return WIN_DEVICES.test(s) ? `_${s}` : s;
+}
+
+/* "2024-03-01T…" / "20240301" -> "2024-03-01" */
+const isoDate = (d) => {
+  const m = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(String(d ?? ""));
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : "";
+};
+
+const FORMATTERS = {
+  upload_date: isoDate,
+  playlist_index: (n) => (n ? String(n).padStart(2, "0") : ""),
+};
+
+/**
+ * Expand `{token}`s (see TOKENS) from `vars` and return a safe file name
+ * ending in `.{ext}`. Unknown tokens stay as written; separators left
+ * dangling by empty tokens ("{playlist_index} - {title}") are dropped.
+ */
+export function buildFilename(template, vars, { os = "win" } = {}) {
+  const ext = sanitizeFilename(vars.ext, { os }).toLowerCase();
+  const value = (key) =>
+    sanitizeFilename((FORMATTERS[key] || String)(vars[key] ?? ""), { os });
+
+  let stem = String(template || DEFAULT_TEMPLATE).replace(
+    /\{(\w+)\}/g,
+    (m, key) => (TOKENS.includes(key) ? value(key) : m)
+  );
+  if (ext && stem.toLowerCase().endsWith(`.${ext}`))
+    stem = stem.slice(0, -ext.length - 1);
+  stem = stem.replace(/^[\s\-_.·|]+|[\s\-_·|]+$/g, "");
+
+  const max = MAX_BYTES - utf8Length(ext) - 1;
+  stem =
+    sanitizeFilename(stem, { os, maxBytes: max }) ||
+    sanitizeFilename(vars.title, { os, maxBytes: max }) ||
+    sanitizeFilename(vars.id, { os }) ||
+    "video";
+  return ext ? `${stem}.${ext}` : stem;
+}
+
+/* template validation for user input; returns an error message or null */
+export function templateError(template) {
+  if (typeof template !== "string" || !template.trim())
+    return "Filename template must be a non-empty string";
+  if (template.length > 200) return "Filename template is too long";
+  const unknown = [...template.matchAll(/\{(\w+)\}/g)]
+    .map((m) => m[1])
+    .filter((t) => !TOKENS.includes(t));
+  return unknown.length
+    ? `Unknown filename token: {${unknown[0]}} (use ${TOKENS.map(
+        (t) => `{${t}}`
+      ).join(", ")})`
+    : null;
+}
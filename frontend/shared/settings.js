@@ -0,0 +1,86 @@
+/* ----------  user settings, persisted in chrome.storage.sync  ----------
+   Edited on the options page; read by the popup and the service worker. */
+
+import { BACKENDS, setApiKey } from "./api.js";
+import { buildFilename, sanitizeFilename } from "./filename.js";
+
+export const DEFAULTS = {
+  quality: "best", // "best" | "1080p" … "360p" | "audio"
+  container: "mp4", // "mp4" | "webm"
+  audioFormat: "", // "" keeps the native track, else an AUDIO_TARGETS key
+  filenameTemplate: "{title}",
+  folder: "YouTube",
+  saveAs: true,
+  concurrency: 2, // queued downloads prepared at the same time
+  backends: BACKENDS,
+  apiKey: "", // sent as "Authorization: Bearer …" when the server wants one
+  apiKeyBackend: "", // …but only to this one of the backends
+};
+
+/* plus `os`, the filename rules of this machine (not stored); also
+   hands the API key to api.js, so loading settings arms every request */
+export async function loadSettings() {
+  const stored = await chrome.storage.sync.get(DEFAULTS);
+  setApiKey(stored.apiKey, stored.apiKeyBackend);
+  const { os } = await chrome.runtime.getPlatformInfo();
+  return {
+    ...stored,
+    backends: stored.backends?.length ? stored.backends : BACKENDS,
+    os: os === "win" || os === "mac" ? os : "linux",
+  };
+}
+
+export const saveSettings = (settings) => chrome.storage.sync.set(settings);
+
+/* ---------------  default format  ------------------------------- */
+/* catalogue entries (?mode=all) carry hasVideo / height, buckets are
+   labelled "1080p" …; audio entries come out as 0 */
+const heightOf = (f) =>
+  ("hasVideo" in f ? f.hasVideo && f.height : parseInt(f.label)) || 0;
+const isExport = (f) => f.group === "Audio export";
+const containerOf = (f) => (f.container || f.ext || "").toLowerCase();
+
+/**
+ * The entry of an /info `formats` list matching the preferences: the
+ * highest video at or below the preferred quality (preferred container
+ * first), or for "audio" the preferred export / the native audio track.
+ */
+export function pickFormat(formats, { quality, container, audioFormat }) {
+  if (quality === "audio") {
+    const audio = formats.filter((f) => !heightOf(f));
+    return (
+      (audioFormat &&
+        audio.find((f) => isExport(f) && f.audioFormat === audioFormat)) ||
+      audio.find((f) => !isExport(f)) ||
+      audio[0] ||
+      formats[0]
+    );
+  }
+
+  const max = parseInt(quality) || Infinity;
+  const video = formats
+    .filter((f) => heightOf(f) && heightOf(f) <= max)
+    .sort((a, b) => heightOf(b) - heightOf(a));
+  const top = heightOf(video[0] || {});
+  return (
+    video.find((f) => heightOf(f) === top && containerOf(f) === container) ||
+    video[0] ||
+    formats[0]
+  );
+}
+
+/* ---------------  download path  -------------------------------- */
+/* "YouTube/../Music", "Mix" -> "YouTube/Music/Mix" (relative to Downloads) */
+export const downloadDir = (...parts) =>
+  parts
+    .flatMap((p) => String(p ?? "").split(/[\\/]+/))
+    .map((p) => sanitizeFilename(p))
+    .filter((p) => p && p !== "." && p !== "..")
+    .join("/");
+
+/* template + vars (see filename.js) -> "YouTube/Some title [abc].mp4" */
+export function downloadPath({ filenameTemplate, folder, os }, vars) {
+  const name = buildFilename(filenameTemplate, vars, { os });
+  const dir = downloadDir(folder);
+  return dir ? `${dir}/${name}` : name;
+}
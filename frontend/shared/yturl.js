@@ -0,0 +1,100 @@
+/* ----------  YouTube URL parsing, shared by server and extension  ----------
+   Plain ES module with no dependencies: the server imports it from
+   ../frontend/shared, the popup loads it as a module script. */
+
+const VIDEO_ID = /^[\w-]{11}$/;
+const PLAYLIST_ID = /^(PL|UU|LL|FL|RD|OL|UL|PU)[\w-]{10,}$/;
+const HOSTS = ["youtube.com", "youtu.be", "youtube-nocookie.com"];
+
+/* /shorts/<id>, /embed/<id>, /live/<id>, /v/<id>, /e/<id> */
+const PATH_ID = /^\/(?:shorts|embed|live|v|e)\/([\w-]{11})(?:[/?#]|$)/;
+
+export const watchUrl = (id) => `https://www.youtube.com/watch?v=${id}`;
+export const playlistUrl = (id) =>
+  `https://www.youtube.com/playlist?list=${id}`;
+
+/**
+ * "90", "90.5", "90s", "1:30", "1:02:03", "1m30s", "1h2m3s" -> seconds;
+ * NaN for anything else.
+ */
+export function parseTimestamp(value) {
+  const v = String(value ?? "").trim();
+  if (/^\d+(\.\d+)?s?$/.test(v)) return parseFloat(v);
+  if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(v))
+    return v.split(":").reduce((acc, p) => acc * 60 + Number(p), 0);
+  const m = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/.exec(v);
+  if (m && (m[1] || m[2] || m[3]))
+    return (+m[1] || 0) * 3600 + (+m[2] || 0) * 60 + (+m[3] || 0);
+  return NaN;
+}
+
+/**
+ * Parse anything a user might paste: watch / youtu.be / shorts / embed /
+ * live / playlist URLs on www., m. and music. hosts, or a bare video or
+ * playlist id. Returns
+ *   { videoId, playlistId, start, index, url }
+ * where `url` is the canonical watch (or playlist) URL and missing parts
+ * are null. Throws an Error with a user-facing message otherwise.
+ */
+export function parseYtUrl(input) {
+  const raw = String(input ?? "").trim();
+  if (!raw) throw new Error("Please enter a YouTube URL");
+
+  if (VIDEO_ID.test(raw)) return result(raw, null, null, null);
+  if (PLAYLIST_ID.test(raw)) return result(null, raw, null, null);
+
+  let u;
+  try {
+    u = new URL(/^[a-z]+:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch {
+    throw new Error("That doesn't look like a URL");
+  }
+
+  const host = u.hostname.toLowerCase().replace(/^(www|m|music)\./, "");
+  if (!HOSTS.includes(host)) throw new Error("Not a YouTube URL");
+
+  const q = u.searchParams;
+  const hash = new URLSearchParams(u.hash.slice(1));
+  const t = q.get("t") ?? q.get("start") ?? hash.get("t");
+  const start =
+    t !== null && !Number.isNaN(parseTimestamp(t)) ? parseTimestamp(t) : null;
+  const index = +q.get("index") || null;
+  const playlistId = q.get("list") || null;
+
+  let videoId = null;
+  if (host === "youtu.be") videoId = u.pathname.split("/")[1] || null;
+  else if (u.pathname === "/watch") videoId = q.get("v");
+  else if (PATH_ID.test(u.pathname)) videoId = PATH_ID.exec(u.pathname)[1];
+  else if (u.pathname === "/playlist" || u.pathname === "/embed/videoseries") {
+    if (!playlistId) throw new Error("Playlist URL has no list= id");
+  } else
+    throw new Error(
+      "Unsupported YouTube page – paste a video, Short or playlist URL"
+    );
+
+  if (videoId !== null && !VIDEO_ID.test(videoId))
+    throw new Error("Invalid YouTube video id");
+  if (!videoId && !playlistId) throw new Error("URL has no video id");
+
+  return result(videoId, playlistId, start, index);
+}
+
+function result(videoId, playlistId, start, index) {
+  return {
+    videoId,
+    playlistId,
+    start,
+    index,
+    url: videoId ? watchUrl(videoId) : playlistUrl(playlistId),
+  };
+}
+
+/* true/false wrapper for input validation */
+export function isYtUrl(input) {
+  try {
+    parseYtUrl(input);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,146 @@
+// lib/auth.js – optional API keys with per-key daily quotas
+import fs from "fs";
+import { createHash } from "crypto";
+import { cacheFromEnv } from "./cache.js";
+import { apiError, sendError } from "./errors.js";
+
+/*
+ * Auth is off until at least one key is configured:
+ *   API_KEYS=alice:s3cret,bob:t0ken     name:key pairs (or bare keys)
+ *   API_KEYS_FILE=keys.json             [{ name, key, dailyRequests,
+ *                                          dailyMB }]
+ *   API_DAILY_REQUESTS=<n>              default quota per key (0 = none)
+ *   API_DAILY_MB=<n>                    default bytes per key, in MB
+ * Clients send "Authorization: Bearer <key>". Usage is counted per UTC
+ * day in the USAGE_CACHE (disk by default, so restarts don't reset it).
+ */
+const DAILY_REQUESTS = +process.env.API_DAILY_REQUESTS || 0;
+const DAILY_MB = +process.env.API_DAILY_MB || 0;
+
+const hash = (key) => createHash("sha256").update(key).digest("hex");
+
+/* hash -> { name, dailyRequests, dailyBytes }; looking keys up by hash
+   keeps the comparison independent of how much of a guess matches */
+const keys = new Map();
+
+function addKey({ name, key, dailyRequests, dailyMB }) {
+  if (!key) return;
+  keys.set(hash(String(key)), {
+    name: name || `key${keys.size + 1}`,
+    dailyRequests: +(dailyRequests ?? DAILY_REQUESTS) || 0,
+    dailyBytes: (+(dailyMB ?? DAILY_MB) || 0) * 1024 * 1024,
+  });
+}
+
+for (const pair of (process.env.API_KEYS || "").split(",")) {
+  const colon = pair.indexOf(":");
+  addKey({
+    name: colon === -1 ? null : pair.slice(0, colon).trim(),
+    key: pair.slice(colon + 1).trim(),
+  });
+}
+if (process.env.API_KEYS_FILE)
+  JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, "utf8")).forEach(
+    addKey
+  );
+
+export const authEnabled = () => keys.size > 0;
+
+const usage = cacheFromEnv("USAGE_CACHE", {
+  backend: "disk",
+  ttl: 2 * 86_400_000,
+  maxEntries: 10_000,
+  file: ".cache/usage.json",
+});
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/* seconds until the daily quotas reset (UTC midnight) */
+const untilTomorrow = () => {
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight - Date.now()) / 1000);
+};
+
+const usageOf = (name) =>
+  usage.get(`${today()}:${name}`) || { requests: 0, bytes: 0 };
+
+/* today's usage and limits of the key behind `req` (0 = unlimited) */
+export function keyUsage(req) {
+  const { name, dailyRequests, dailyBytes } = req.apiKey;
+  return {
+    name,
+    ...usageOf(name),
+    dailyRequests,
+    dailyBytes,
+    resetsIn: untilTomorrow(),
+  };
+}
+
+function count(name, patch) {
+  const day = `${today()}:${name}`;
+  const u = usage.get(day) || { requests: 0, bytes: 0 };
+  usage.set(day, {
+    requests: u.requests + (patch.requests || 0),
+    bytes: u.bytes + (patch.bytes || 0),
+  });
+}
+
+/**
+ * Express middleware: with keys configured, every request needs a
+ * valid key (sets req.apiKey). Bytes are counted for every request, from
+ * what the socket actually sent, so cancelled downloads only cost what
+ * they got; requests only where countRequest is mounted.
+ */
+export function requireApiKey(req, res, next) {
+  if (!authEnabled() || req.method === "OPTIONS") return next();
+
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (!token || !/^bearer$/i.test(scheme)) {
+    res.set("WWW-Authenticate", 'Bearer realm="yt-downloader"');
+    return sendError(res, apiError("AUTH_REQUIRED", "Missing API key"));
+  }
+  const key = keys.get(hash(token.trim()));
+  if (!key) {
+    res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+    return sendError(res, apiError("AUTH_INVALID", "Invalid API key"));
+  }
+
+  req.apiKey = key;
+  const socket = req.socket;
+  const sentBefore = socket.bytesWritten;
+  res.on("close", () =>
+    count(key.name, { bytes: socket.bytesWritten - sentBefore })
+  );
+  next();
+}
+
+/**
+ * Express middleware for the routes that start work (not for polling a
+ * job or reading /usage): counts the request against the key's daily
+ * quota and refuses it with 429 once requests or bytes are used up.
+ */
+export function countRequest(req, res, next) {
+  const key = req.apiKey;
+  if (!key) return next();
+
+  const used = usageOf(key.name);
+  const over =
+    (key.dailyRequests && used.requests >= key.dailyRequests) ||
+    (key.dailyBytes && used.bytes >= key.dailyBytes);
+  if (over)
+    return sendError(
+      res,
+      apiError("QUOTA_EXCEEDED", "Daily quota for this API key is used up", {
+        retryAfter: untilTomorrow(),
+      })
+    );
+
+  count(key.name, { requests: 1 });
+  next();
+}
+
+export const authStats = () => ({
+  enabled: authEnabled(),
+  keys: keys.size,
+});
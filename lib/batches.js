@@ -0,0 +1,203 @@
+// lib/batches.js – playlist batch downloads built on top of jobs
+import archiver from "archiver";
+import { randomUUID } from "crypto";
+import fs from "fs";
+import { createWorkspace } from "./workspace.js";
+import { apiError, classify } from "./errors.js";
+import { log, since, withContext } from "./log.js";
+import {
+  createJob,
+  getJob,
+  cancelJob,
+  waitForJob,
+  currentStage,
+} from "./jobs.js";
+import { watchUrl } from "../frontend/shared/yturl.js";
+import { buildFilename } from "../frontend/shared/filename.js";
+
+export const BUNDLES = ["zip", "files"];
+
+/* a batch is one request against the rate limit and the key's quota,
+   so its size is capped too
+     BATCH_MAX_ENTRIES=<n>   videos per batch, default 200 */
+export const MAX_ENTRIES = +process.env.BATCH_MAX_ENTRIES || 200;
+
+/* entries are numbered unless the caller's template says otherwise */
+const BATCH_TEMPLATE = "{playlist_index} - {title}";
+
+const batches = new Map();
+const BATCH_TTL = 3_600_000;
+
+export const getBatch = (id) => batches.get(id);
+
+/* overall progress of one entry's job, 0–100 */
+const entryPercent = (job) =>
+  !job ? 0 : job.phase === "ready" ? 100 : currentStage(job)?.percent || 0;
+
+export function publicBatch(batch) {
+  const entries = batch.entries.map((e) => {
+    const job = e.jobId && getJob(e.jobId);
+    return {
+      index: e.index,
+      id: e.id,
+      jobId: e.jobId,
+      phase: job?.phase || (e.jobId ? "expired" : "queued"),
+      queue: job?.queue || null,
+      title: job?.title || e.title,
+      filename: job?.filename || null,
+      percent: entryPercent(job),
+      error: job?.error || null,
+      code: job?.code || null,
+    };
+  });
+
+  return {
+    id: batch.id,
+    title: batch.title,
+    bundle: batch.bundle,
+    phase: batch.phase,
+    filename: batch.filename,
+    done: entries.filter((e) => e.phase === "ready").length,
+    failed: entries.filter((e) => e.phase === "failed").length,
+    total: entries.length,
+    entries,
+    error: batch.error,
+    code: batch.code,
+    createdAt: new Date(batch.createdAt).toISOString(),
+    updatedAt: new Date(batch.updatedAt).toISOString(),
+  };
+}
+
+/**
+ * Download `entries` ({ id, index, title? }) one after another with the
+ * shared job `options` (quality, audioFormat, metadata, filename …). With
+ * the "zip" bundle the finished files are packed into one archive.
+ */
+export function createBatch({ title, entries, bundle, ...options }) {
+  const now = Date.now();
+  const batch = {
+    id: randomUUID(),
+    title: title || "Playlist",
+    bundle,
+    phase: "running",
+    entries: entries.map((e) => ({
+      id: e.id,
+      index: e.index,
+      title: e.title || null,
+      jobId: null,
+    })),
+    filename: null,
+    file: null,
+    error: null,
+    code: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  batch.ws = createWorkspace(`batch-${batch.id}`);
+  batch.controller = new AbortController();
+  batches.set(batch.id, batch);
+  /* its jobs log the batch id too */
+  withContext({ batchId: batch.id }, () => {
+    log.info("batch.created", { entries: entries.length, bundle, ...options });
+    run(batch, options);
+  });
+  return batch;
+}
+
+const touch = (batch, patch = {}) =>
+  Object.assign(batch, patch, { updatedAt: Date.now() });
+
+/**
+ * Stop a running batch: the remaining entries are skipped and the jobs
+ * of the others cancelled (finished ones are dropped, as nobody fetched
+ * them yet). A settled batch is dropped along with its archive.
+ */
+export function cancelBatch(batch) {
+  if (batch.phase !== "running" && batch.phase !== "bundling")
+    return expire(batch.id);
+  batch.controller.abort(new Error("Batch was cancelled"));
+  for (const e of batch.entries) {
+    const job = e.jobId && getJob(e.jobId);
+    if (job) cancelJob(job);
+  }
+}
+
+async function run(batch, options) {
+  const { signal } = batch.controller;
+  try {
+    const done = [];
+    for (const entry of batch.entries) {
+      signal.throwIfAborted();
+      const job = createJob({
+        ...options,
+        filename: options.filename || BATCH_TEMPLATE,
+        url: watchUrl(entry.id),
+        playlistIndex: entry.index,
+      });
+      entry.jobId = job.id;
+      touch(batch);
+      await waitForJob(job).then(
+        () => done.push(job),
+        () => {} // recorded on the job; carry on with the next entry
+      );
+    }
+    if (!done.length)
+      throw apiError("DOWNLOAD_FAILED", "No entry could be downloaded");
+
+    if (batch.bundle === "zip") {
+      touch(batch, { phase: "bundling" });
+      const out = await batch.ws.file(".zip");
+      await zip(done, out, signal);
+      touch(batch, {
+        file: out,
+        filename: buildFilename("{title}", {
+          title: batch.title || "playlist",
+          ext: "zip",
+        }),
+      });
+    }
+    touch(batch, { phase: "ready" });
+    log.info("batch.ready", {
+      done: done.length,
+      total: batch.entries.length,
+      durationMs: since(batch.createdAt),
+    });
+  } catch (err) {
+    batch.ws.dispose().catch(() => {});
+    if (signal.aborted) {
+      log.info("batch.cancelled", { durationMs: since(batch.createdAt) });
+      return touch(batch, {
+        phase: "cancelled",
+        error: "Cancelled",
+        code: "CANCELLED",
+      });
+    }
+    const coded = classify(err);
+    const { message, code } = coded;
+    log.error("batch.failed", { code, err: coded });
+    touch(batch, { phase: "failed", error: message, code, file: null });
+  } finally {
+    setTimeout(() => expire(batch.id), BATCH_TTL).unref();
+  }
+}
+
+/* media is already compressed – store instead of deflate */
+function zip(jobs, out, signal) {
+  return new Promise((ok, fail) => {
+    const ws = fs.createWriteStream(out);
+    const archive = archiver("zip", { store: true });
+    ws.on("close", () => (signal.aborted ? fail(signal.reason) : ok(out)));
+    archive.on("error", fail);
+    signal.addEventListener("abort", () => archive.abort(), { once: true });
+    archive.pipe(ws);
+    jobs.forEach((j) => archive.file(j.file, { name: j.filename }));
+    archive.finalize();
+  });
+}
+
+function expire(id) {
+  const batch = batches.get(id);
+  if (!batch) return;
+  batch.ws.dispose().catch(() => {});
+  batches.delete(id);
+}
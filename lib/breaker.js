@@ -0,0 +1,111 @@
+// lib/breaker.js – circuit breaker for calls to YouTube
+import { log } from "./log.js";
+
+/*
+ * Once YouTube starts answering 429 / 403 (or "confirm you're not a
+ * bot"), every further request makes the block last longer. After
+ * `threshold` such failures within `window` ms the breaker opens and
+ * calls fail fast for `cooldown` ms; then one call is let through to
+ * probe. Each failed probe doubles the cooldown, up to `maxCooldown`.
+ */
+
+/* ytdl / miniget put the upstream status in the message */
+export const isThrottle = (err) =>
+  [403, 429].includes(err?.statusCode) ||
+  /status code: (403|429)|\b429\b|too many requests|not a bot/i.test(
+    String(err?.message || "")
+  );
+
+export function createBreaker({
+  name,
+  threshold = 3,
+  window = 60_000,
+  cooldown = 60_000,
+  maxCooldown = 30 * 60_000,
+} = {}) {
+  let failures = []; // timestamps of recent throttle errors
+  let openUntil = 0; // 0 = closed
+  let currentCooldown = cooldown;
+  let probing = false;
+  let trips = 0;
+
+  const isOpen = () => Date.now() < openUntil || probing;
+
+  /* an Error telling the client when we'll talk to YouTube again */
+  function openError() {
+    const retryAfter = Math.max(1, Math.ceil((openUntil - Date.now()) / 1000));
+    const err = new Error(
+      `${name} is throttling this server; retrying in ${retryAfter} s`
+    );
+    err.code = "UPSTREAM_THROTTLED"; // see frontend/shared/errors.js
+    err.status = 503;
+    err.retryAfter = retryAfter;
+    err.retryAt = new Date(Date.now() + retryAfter * 1000).toISOString();
+    return err;
+  }
+
+  function trip() {
+    trips++;
+    openUntil = Date.now() + currentCooldown;
+    log.warn("upstream.tripped", { name, cooldownMs: currentCooldown, trips });
+    currentCooldown = Math.min(maxCooldown, currentCooldown * 2);
+    failures = [];
+  }
+
+  function failure(err) {
+    if (!isThrottle(err)) return;
+    const now = Date.now();
+    failures = failures.filter((t) => now - t < window);
+    failures.push(now);
+    if (failures.length >= threshold) trip();
+  }
+
+  function success() {
+    failures = [];
+    openUntil = 0;
+    currentCooldown = cooldown;
+  }
+
+  /**
+   * Run `fn()` unless the breaker is open (then throw openError()).
+   * After the cooldown the first caller probes; the others keep
+   * failing fast until it has an answer.
+   */
+  async function call(fn) {
+    if (Date.now() < openUntil || probing) throw openError();
+    const probe = openUntil !== 0;
+    probing = probe;
+    try {
+      const result = await fn();
+      success();
+      return result;
+    } catch (err) {
+      /* any answer that isn't a throttle means YouTube talks to us again */
+      if (probe && !isThrottle(err)) success();
+      else if (probe) trip();
+      else failure(err);
+      throw err;
+    } finally {
+      if (probe) probing = false;
+    }
+  }
+
+  return {
+    call,
+    /* for errors from calls that can't go through call() (streams) */
+    failure,
+    check: () => {
+      if (isOpen()) throw openError();
+    },
+    get open() {
+      return isOpen();
+    },
+    openError,
+    stats: () => ({
+      open: isOpen(),
+      retryAt: isOpen() ? new Date(openUntil).toISOString() : null,
+      recentThrottles: failures.length,
+      trips,
+    }),
+  };
+}
@@ -0,0 +1,113 @@
+// lib/cache.js – TTL + LRU cache with pluggable storage backends
+import fs from "fs";
+import path from "path";
+import { log } from "./log.js";
+
+/*
+ * Every backend exposes the same surface:
+ *   get(key, { stale }) / set(key, value) / delete(key) / clear() / stats()
+ * Entries expire after `ttl` ms; beyond `maxEntries` the least recently
+ * used entry is evicted. Expired entries linger until evicted, so
+ * `stale: true` can still return one when a fresh value can't be had.
+ */
+
+/* ---------------------------- memory ----------------------------- */
+export function memoryCache({ ttl = 900_000, maxEntries = 500 } = {}) {
+  const entries = new Map(); // insertion order == recency order
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+  let onChange = () => {};
+
+  function get(key, { stale = false } = {}) {
+    const e = entries.get(key);
+    if (!e || (e.expires <= Date.now() && !stale)) {
+      counters.misses++;
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, e);
+    counters.hits++;
+    return e.value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, expires: Date.now() + ttl });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+    onChange();
+  }
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key) && (onChange(), true),
+    clear: () => (entries.clear(), onChange()),
+    stats: () => ({
+      backend: "memory",
+      ...counters,
+      size: entries.size,
+      maxEntries,
+      ttl,
+    }),
+    /* used by the persistent backends */
+    _entries: entries,
+    _onChange: (fn) => (onChange = fn),
+  };
+}
+
+/* ------------------------- on-disk JSON -------------------------- */
+/* memory LRU mirrored to a JSON file, so entries survive restarts */
+export function diskCache({ file, ...opts }) {
+  const mem = memoryCache(opts);
+  const SAVE_DELAY = 1000;
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    const now = Date.now();
+    for (const [key, e] of saved)
+      if (e.expires > now) mem._entries.set(key, e);
+  } catch (err) {
+    if (err.code !== "ENOENT") log.error("cache.unreadable", { file, err });
+  }
+
+  /* debounced write to a temp file + rename, so a crash never leaves
+     a half-written cache behind */
+  let timer = null;
+  const save = () => {
+    const tmp = `${file}.tmp`;
+    const data = JSON.stringify([...mem._entries]);
+    fs.promises
+      .mkdir(path.dirname(file), { recursive: true })
+      .then(() => fs.promises.writeFile(tmp, data))
+      .then(() => fs.promises.rename(tmp, file))
+      .catch((err) => log.error("cache.save_failed", { file, err }));
+  };
+  mem._onChange(() => {
+    clearTimeout(timer);
+    timer = setTimeout(save, SAVE_DELAY);
+    timer.unref();
+  });
+
+  return { ...mem, stats: () => ({ ...mem.stats(), backend: "disk", file }) };
+}
+
+const BACKENDS = { memory: memoryCache, disk: diskCache };
+
+/**
+ * Build a cache from env vars, e.g. for prefix "INFO_CACHE":
+ *   INFO_CACHE_BACKEND=memory|disk   INFO_CACHE_TTL=<seconds>
+ *   INFO_CACHE_MAX_ENTRIES=<n>       INFO_CACHE_FILE=<path>
+ */
+export function cacheFromEnv(prefix, defaults = {}) {
+  const env = (k) => process.env[`${prefix}_${k}`];
+  const backend = env("BACKEND") || defaults.backend || "memory";
+  if (!BACKENDS[backend])
+    throw new Error(`${prefix}_BACKEND must be one of memory, disk`);
+
+  const ttl = env("TTL") ? +env("TTL") * 1000 : defaults.ttl;
+  const maxEntries = +env("MAX_ENTRIES") || defaults.maxEntries;
+  const file = env("FILE") || defaults.file;
+  return BACKENDS[backend]({ ttl, maxEntries, file });
+}
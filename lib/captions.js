@@ -0,0 +1,74 @@
+// lib/captions.js – caption tracks from player_response + conversion
+import { COMMON, upstream } from "./youtube.js";
+
+export const CAPTION_FORMATS = {
+  srt: { ext: "srt", mime: "application/x-subrip" },
+  vtt: { ext: "vtt", mime: "text/vtt" },
+  txt: { ext: "txt", mime: "text/plain" },
+};
+
+const rawTracks = (info) =>
+  info.player_response?.captions?.playerCaptionsTracklistRenderer
+    ?.captionTracks || [];
+
+export const trackName = (t) =>
+  t.name?.simpleText || t.name?.runs?.map((r) => r.text).join("") || "";
+
+/* what /info exposes; `id` is YouTube's vssId (".en", "a.en" …) */
+export const captionTracks = (info) =>
+  rawTracks(info).map((t) => ({
+    id: t.vssId,
+    lang: t.languageCode,
+    name: trackName(t),
+    auto: t.kind === "asr",
+  }));
+
+export const findTrack = (info, id) =>
+  rawTracks(info).find((t) => t.vssId === id) || null;
+
+/* cues: [{ start, end, text }] in ms, from YouTube's json3 timedtext */
+export async function fetchCues(track, signal) {
+  const url = new URL(track.baseUrl);
+  url.searchParams.set("fmt", "json3");
+  const { events = [] } = await upstream.call(async () => {
+    const r = await fetch(url, { ...COMMON.requestOptions, signal });
+    if (!r.ok) {
+      const err = new Error(`Caption fetch failed: HTTP ${r.status}`);
+      err.statusCode = r.status;
+      throw err;
+    }
+    return r.json();
+  });
+  return events
+    .filter((e) => e.segs)
+    .map((e) => ({
+      start: e.tStartMs,
+      end: e.tStartMs + (e.dDurationMs || 0),
+      text: e.segs
+        .map((s) => s.utf8)
+        .join("")
+        .trim(),
+    }))
+    .filter((c) => c.text);
+}
+
+/* 3723456 -> "01:02:03,456" (srt) / "01:02:03.456" (vtt) */
+function stamp(ms, sep) {
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  const h = Math.floor(ms / 3_600_000);
+  const m = Math.floor(ms / 60_000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+export function formatCues(cues, format) {
+  if (format === "txt") return cues.map((c) => c.text).join("\n") + "\n";
+
+  const sep = format === "srt" ? "," : ".";
+  const blocks = cues.map(
+    (c, i) =>
+      (format === "srt" ? `${i + 1}\n` : "") +
+      `${stamp(c.start, sep)} --> ${stamp(c.end, sep)}\n${c.text}\n`
+  );
+  return (format === "vtt" ? "WEBVTT\n\n" : "") + blocks.join("\n");
+}
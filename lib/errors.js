@@ -0,0 +1,55 @@
+// lib/errors.js – coded API errors (see frontend/shared/errors.js)
+import { ERRORS } from "../frontend/shared/errors.js";
+import { isThrottle } from "./breaker.js";
+
+/**
+ * An Error with one of the shared `code`s and its HTTP `status`. `extra`
+ * is copied onto it: `retryAfter` (s) becomes a Retry-After header and
+ * `retryAt` is passed on in the response body.
+ */
+export function apiError(code, message, extra = {}) {
+  const err = new Error(message || ERRORS[code].message);
+  return Object.assign(err, { code, status: ERRORS[code].status }, extra);
+}
+
+/* what ytdl / YouTube put in the message, first match wins; throttling
+   ("sign in to confirm you're not a bot") is checked before these */
+const PATTERNS = [
+  [/no video id|not a youtube domain|invalid url/i, "INVALID_URL"],
+  [/members[- ]only|join this channel/i, "MEMBERS_ONLY"],
+  [/private/i, "VIDEO_PRIVATE"],
+  [/confirm your age|age[- ]restrict|inappropriate/i, "AGE_RESTRICTED"],
+  [/live (stream|event)|livestream|premieres? in/i, "LIVE_NOT_SUPPORTED"],
+  [/unavailable|does not exist|been removed|terminated/i, "VIDEO_UNAVAILABLE"],
+];
+
+/**
+ * The coded error for any `err`: coded ones pass through, the rest are
+ * recognised by their message or status, else get the `fallback` code
+ * (the caller knows best what was going on – downloading, muxing …).
+ */
+export function classify(err, fallback = "INTERNAL") {
+  if (ERRORS[err?.code]) return err;
+  const message = String(err?.message || err || "Unknown error");
+  if (isThrottle(err))
+    return apiError("UPSTREAM_THROTTLED", message, { cause: err });
+  const known = PATTERNS.find(([re]) => re.test(message));
+  if (known) return apiError(known[1], message, { cause: err });
+  /* body-parser and friends flag bad input with a 4xx status */
+  if (err?.status >= 400 && err.status < 500)
+    return apiError("INVALID_REQUEST", message, { cause: err });
+  return apiError(fallback, message, { cause: err });
+}
+
+/* answer with { error, code, retryAt? } (+ Retry-After); the request
+   log (lib/log.js) picks the error up from res.locals */
+export function sendError(res, err, fallback) {
+  const e = classify(err, fallback);
+  res.locals.error = e;
+  if (e.retryAfter) res.set("Retry-After", String(e.retryAfter));
+  res.status(e.status).json({
+    error: e.message,
+    code: e.code,
+    ...(e.retryAt && { retryAt: e.retryAt }),
+  });
+}
@@ -0,0 +1,295 @@
+// lib/ffmpeg.js – fluent-ffmpeg pipelines used by the job runner
+import ffmpeg from "fluent-ffmpeg";
+
+const isMp4Audio = (f) => f.container === "mp4" || f.container === "m4a";
+
+/* timemark "HH:MM:SS.xx" -> seconds */
+const toSeconds = (mark = "0") =>
+  String(mark)
+    .split(":")
+    .reduce((acc, part) => acc * 60 + Number(part || 0), 0);
+
+/* forward ffmpeg progress as a 0–100 percentage */
+function trackProgress(cmd, duration, onProgress) {
+  if (!onProgress) return;
+  cmd.on("progress", (p) => {
+    const percent =
+      p.percent ?? (duration ? (toSeconds(p.timemark) / duration) * 100 : 0);
+    onProgress(Math.min(100, Math.max(0, percent)), p);
+  });
+}
+
+/* kill the ffmpeg child when `signal` aborts; the process is spawned
+   asynchronously, so an abort that comes first kills it on "start" */
+function killOnAbort(cmd, signal) {
+  if (!signal) return;
+  const kill = () => cmd.kill("SIGKILL");
+  signal.addEventListener("abort", kill, { once: true });
+  cmd.on("start", () => signal.aborted && kill());
+  const done = () => signal.removeEventListener("abort", kill);
+  cmd.on("end", done).on("error", done);
+}
+
+/**
+ * Mux a video-only and an audio-only file into a single mp4 at `out`.
+ * `duration` (seconds) lets us turn ffmpeg timemarks into a percentage.
+ * Every pipeline here takes an optional AbortSignal that kills ffmpeg.
+ */
+export function mux({
+  video,
+  audio,
+  audioFormat,
+  out,
+  duration,
+  onProgress,
+  signal,
+}) {
+  return new Promise((ok, fail) => {
+    const cmd = ffmpeg()
+      .input(video)
+      .videoCodec("copy")
+      .input(audio)
+      .audioCodec(isMp4Audio(audioFormat) ? "copy" : "aac")
+      .audioBitrate("192k")
+      .outputOptions("-movflags", "+faststart")
+      .format("mp4")
+      .on("error", fail)
+      .on("end", () => ok(out));
+
+    trackProgress(cmd, duration, onProgress);
+    killOnAbort(cmd, signal);
+    cmd.save(out);
+  });
+}
+
+/* ------------------------ audio export --------------------------- */
+/* `source` is the ytdl audioCodec prefix we can stream-copy from */
+export const AUDIO_TARGETS = {
+  mp3: {
+    label: "MP3",
+    codec: "libmp3lame",
+    format: "mp3",
+    ext: "mp3",
+    mime: "audio/mpeg",
+    bitrates: [320, 192, 128],
+  },
+  m4a: {
+    label: "M4A",
+    codec: "aac",
+    format: "ipod",
+    ext: "m4a",
+    mime: "audio/mp4",
+    bitrates: [256, 128],
+    source: "mp4a",
+  },
+  opus: {
+    label: "Opus",
+    codec: "libopus",
+    format: "opus",
+    ext: "opus",
+    mime: "audio/ogg",
+    bitrates: [160, 96],
+    source: "opus",
+  },
+  flac: {
+    label: "FLAC",
+    codec: "flac",
+    format: "flac",
+    ext: "flac",
+    mime: "audio/flac",
+    bitrates: [],
+  },
+  wav: {
+    label: "WAV",
+    codec: "pcm_s16le",
+    format: "wav",
+    ext: "wav",
+    mime: "audio/wav",
+    bitrates: [],
+  },
+};
+
+/* native target for an audio-only ytdl format (no re-encode needed) */
+export const nativeAudioTarget = (f) =>
+  f.container === "webm" ? "opus" : "m4a";
+
+/* which ytdl container to download for a target: only m4a can reuse
+   the AAC track, everything else starts from the (higher-bitrate) opus */
+export const sourceContainer = (target) => (target === "m4a" ? "mp4" : "webm");
+
+/**
+ * Convert a downloaded audio track to `target` (a key of AUDIO_TARGETS).
+ * Without a bitrate the track is stream-copied when the codec allows it.
+ */
+export function transcodeAudio({
+  input,
+  inputFormat,
+  target,
+  bitrate,
+  out,
+  duration,
+  onProgress,
+  signal,
+}) {
+  const t = AUDIO_TARGETS[target];
+  const copy =
+    !bitrate && t.source && (inputFormat.audioCodec || "").startsWith(t.source);
+
+  return new Promise((ok, fail) => {
+    const cmd = ffmpeg()
+      .input(input)
+      .noVideo()
+      .audioCodec(copy ? "copy" : t.codec)
+      .format(t.format)
+      .on("error", fail)
+      .on("end", () => ok(out));
+
+    if (!copy && bitrate) cmd.audioBitrate(`${bitrate}k`);
+    if (t.format === "ipod") cmd.outputOptions("-movflags", "+faststart");
+
+    trackProgress(cmd, duration, onProgress);
+    killOnAbort(cmd, signal);
+    cmd.save(out);
+  });
+}
+
+/* ------------------------ metadata tags -------------------------- */
+/* ffmpeg output formats that can carry an attached_pic cover */
+const COVER_FORMATS = ["mp4", "ipod", "mp3", "flac"];
+
+/**
+ * Re-mux `input` into `out` (same `format`) with `tags` written as
+ * container metadata and, where supported, `cover` embedded as artwork.
+ * Streams are copied, so this is quick even for long videos.
+ */
+export function tagFile({
+  input,
+  out,
+  format,
+  tags,
+  cover,
+  hasVideo,
+  signal,
+}) {
+  const withCover = cover && COVER_FORMATS.includes(format);
+  const opts = ["-map", "0", "-c", "copy"];
+
+  if (withCover) {
+    const coverStream = `-disposition:v:${hasVideo ? 1 : 0}`;
+    opts.push("-map", "1", coverStream, "attached_pic");
+    if (format === "mp3")
+      opts.push(
+        "-id3v2_version",
+        "3",
+        "-metadata:s:v",
+        "title=Album cover",
+        "-metadata:s:v",
+        "comment=Cover (front)"
+      );
+  }
+  for (const [k, v] of Object.entries(tags))
+    if (v) opts.push("-metadata", `${k}=${v}`);
+  if (format === "mp4" || format === "ipod")
+    opts.push("-movflags", "+faststart");
+
+  return new Promise((ok, fail) => {
+    const cmd = ffmpeg().input(input);
+    if (withCover) cmd.input(cover);
+    cmd
+      /* spread: a single array would get split on spaces */
+      .outputOptions(...opts)
+      .format(format)
+      .on("error", fail)
+      .on("end", () => ok(out));
+    killOnAbort(cmd, signal);
+    cmd.save(out);
+  });
+}
+
+/* ----------------------------- trim ------------------------------ */
+/* codecs for frame-accurate cuts, by ffmpeg output format */
+const REENCODE = {
+  mp4: { video: "libx264", audio: "aac" },
+  webm: { video: "libvpx-vp9", audio: "libopus" },
+};
+
+/**
+ * Cut `input` to [start, end) seconds into `out`. By default streams are
+ * copied, so the cut snaps to the keyframe before `start`; `accurate`
+ * re-encodes video for a frame-exact cut. Audio-only files are always
+ * copied – every audio frame is a sync point.
+ */
+export function trimFile({
+  input,
+  out,
+  format,
+  start,
+  end,
+  accurate,
+  hasVideo,
+  duration,
+  onProgress,
+  signal,
+}) {
+  const reencode = accurate && hasVideo && REENCODE[format];
+
+  return new Promise((ok, fail) => {
+    const cmd = ffmpeg().input(input);
+    if (start) cmd.seekInput(start);
+    if (end !== null) cmd.duration(end - (start || 0));
+
+    if (reencode)
+      cmd
+        .videoCodec(reencode.video)
+        .audioCodec(reencode.audio)
+        .outputOptions("-preset", "veryfast", "-crf", "18");
+    else cmd.outputOptions("-c", "copy", "-avoid_negative_ts", "make_zero");
+
+    if (format === "mp4" || format === "ipod")
+      cmd.outputOptions("-movflags", "+faststart");
+
+    cmd
+      .outputOptions("-map", "0")
+      .format(format)
+      .on("error", fail)
+      .on("end", () => ok(out));
+
+    trackProgress(cmd, (end ?? duration) - (start || 0), onProgress);
+    killOnAbort(cmd, signal);
+    cmd.save(out);
+  });
+}
+
+/* -------------------------- subtitles ---------------------------- */
+const SUBTITLE_CODECS = { mp4: "mov_text", webm: "webvtt" };
+
+export const canEmbedSubtitles = (format) => format in SUBTITLE_CODECS;
+
+/* add `subtitles` (an srt/vtt file) to `input` as a soft subtitle track */
+export function addSubtitles({
+  input,
+  subtitles,
+  out,
+  format,
+  lang,
+  title,
+  signal,
+}) {
+  return new Promise((ok, fail) => {
+    const opts = ["-map", "0", "-map", "1", "-c", "copy"];
+    opts.push("-c:s", SUBTITLE_CODECS[format]);
+    if (lang) opts.push("-metadata:s:s:0", `language=${lang}`);
+    if (title) opts.push("-metadata:s:s:0", `title=${title}`);
+    if (format === "mp4") opts.push("-movflags", "+faststart");
+
+    const cmd = ffmpeg()
+      .input(input)
+      .input(subtitles)
+      .outputOptions(...opts)
+      .format(format)
+      .on("error", fail)
+      .on("end", () => ok(out));
+    killOnAbort(cmd, signal);
+    cmd.save(out);
+  });
+}
@@ -0,0 +1,168 @@
+// lib/formats.js – turn ytdl format lists into what the popup shows
+import prettyBytes from "pretty-bytes";
+import {
+  AUDIO_TARGETS,
+  nativeAudioTarget,
+  sourceContainer,
+} from "./ffmpeg.js";
+import { pickAudioFormat } from "./youtube.js";
+
+const size = (f) => (f.contentLength ? prettyBytes(+f.contentLength) : "—");
+
+/* default view: one mp4 per fixed quality bucket + one audio track */
+export function bucketFormats(formats) {
+  const buckets = {
+    "1080p": null,
+    "720p": null,
+    "480p": null,
+    "360p": null,
+    audio: null,
+  };
+
+  for (const f of formats) {
+    const q = f.qualityLabel || "";
+    if (f.container === "mp4" && f.hasVideo) {
+      if (q.startsWith("1080") && !buckets["1080p"]) buckets["1080p"] = f;
+      else if (q.startsWith("720") && !buckets["720p"]) buckets["720p"] = f;
+      else if (q.startsWith("480") && !buckets["480p"]) buckets["480p"] = f;
+      else if (q.startsWith("360") && !buckets["360p"]) buckets["360p"] = f;
+    }
+    if (f.hasAudio && !f.hasVideo && !buckets.audio) buckets.audio = f;
+  }
+
+  return Object.entries(buckets)
+    .filter(([, f]) => f)
+    .map(([k, f]) =>
+      k === "audio"
+        ? {
+            itag: f.itag,
+            label: "Audio only",
+            ext: AUDIO_TARGETS[nativeAudioTarget(f)].ext.toUpperCase(),
+            sizeMB: size(f),
+            audioFormat: nativeAudioTarget(f),
+          }
+        : { itag: f.itag, label: k, ext: "MP4", sizeMB: size(f) }
+    );
+}
+
+/* ------------------- batch quality selection -------------------- */
+export const QUALITIES = ["1080p", "720p", "480p", "360p", "audio"];
+
+/* itag for a bucket label; falls back to the next lower bucket, then
+   to the best one available */
+export function itagForQuality(formats, quality) {
+  const buckets = bucketFormats(formats);
+  const byLabel = (q) =>
+    buckets.find((b) => b.label === (q === "audio" ? "Audio only" : q));
+  if (quality === "audio") return byLabel("audio")?.itag;
+
+  const video = QUALITIES.slice(0, -1);
+  const lower = video.slice(video.indexOf(quality)).map(byLabel).find(Boolean);
+  return (lower || buckets.find((b) => !b.audioFormat))?.itag;
+}
+
+/* ------------------- transcoded audio exports -------------------- */
+const WAV_KBPS = 1411.2; // 16-bit stereo @ 44.1 kHz
+
+const estimate = (seconds, kbps) =>
+  seconds && kbps ? `~${prettyBytes((seconds * kbps * 1000) / 8)}` : "—";
+
+export function audioExports(formats, seconds) {
+  if (!formats.some((f) => f.hasAudio && !f.hasVideo)) return [];
+
+  return Object.entries(AUDIO_TARGETS).flatMap(([key, t]) => {
+    const source = pickAudioFormat(formats, sourceContainer(key));
+    const entry = (bitrate, kbps) => ({
+      itag: source.itag,
+      label: bitrate ? `${t.label} · ${bitrate} kbps` : t.label,
+      group: "Audio export",
+      ext: t.ext.toUpperCase(),
+      sizeMB: estimate(seconds, kbps),
+      audioFormat: key,
+      audioBitrate: bitrate,
+    });
+
+    if (!t.bitrates.length) return [entry(null, key === "wav" && WAV_KBPS)];
+    return t.bitrates.map((b) => entry(b, b));
+  });
+}
+
+/* ------------------ ?mode=all: every format ---------------------- */
+const HDR_TRANSFERS = [
+  "COLOR_TRANSFER_CHARACTERISTICS_SMPTEST2084", // PQ
+  "COLOR_TRANSFER_CHARACTERISTICS_ARIB_STD_B67", // HLG
+];
+
+const isHdr = (f) =>
+  HDR_TRANSFERS.includes(f.colorInfo?.transferCharacteristics) ||
+  /HDR/.test(f.qualityLabel || "");
+
+const GROUPS = ["Video + audio", "Video only", "Audio only"];
+
+const groupOf = (f) =>
+  f.hasVideo && f.hasAudio
+    ? GROUPS[0]
+    : f.hasVideo
+    ? GROUPS[1]
+    : GROUPS[2];
+
+/* short codec name: "avc1.640028" -> "avc1", "mp4a.40.2" -> "mp4a" */
+const codecName = (c) => (c ? c.split(".")[0] : null);
+
+function describe(f, hdr) {
+  const codecs = [codecName(f.videoCodec), codecName(f.audioCodec)]
+    .filter(Boolean)
+    .join("+");
+  const quality = f.hasVideo
+    ? `${f.height || "?"}p${f.fps > 30 ? f.fps : ""}${hdr ? " HDR" : ""}`
+    : `${f.audioBitrate || "?"} kbps`;
+  return `${quality} · ${f.container} ${codecs}`;
+}
+
+export function catalogueFormats(formats) {
+  return formats
+    .filter((f) => f.hasVideo || f.hasAudio)
+    .map((f) => {
+      const hdr = isHdr(f);
+      return {
+        itag: f.itag,
+        label: describe(f, hdr),
+        group: groupOf(f),
+        ext: f.container.toUpperCase(),
+        sizeMB: size(f),
+        container: f.container,
+        codecs: f.codecs || null,
+        videoCodec: f.videoCodec || null,
+        audioCodec: f.audioCodec || null,
+        width: f.width || null,
+        height: f.height || null,
+        resolution: f.width && f.height ? `${f.width}x${f.height}` : null,
+        qualityLabel: f.qualityLabel || null,
+        fps: f.fps || null,
+        bitrate: f.bitrate || null,
+        audioBitrate: f.audioBitrate || null,
+        hdr,
+        hasVideo: f.hasVideo,
+        hasAudio: f.hasAudio,
+        isLive: f.isLive,
+        size: f.contentLength ? +f.contentLength : null,
+      };
+    })
+    .sort(
+      (a, b) =>
+        GROUPS.indexOf(a.group) - GROUPS.indexOf(b.group) ||
+        (b.height || 0) - (a.height || 0) ||
+        (b.fps || 0) - (a.fps || 0) ||
+        (b.bitrate || 0) - (a.bitrate || 0)
+    );
+}
+
+/* ----------------------- for the logs ---------------------------- */
+/* what's worth recording about a chosen format */
+export const formatFields = (f) => ({
+  itag: f.itag,
+  container: f.container,
+  quality: f.qualityLabel || (f.audioBitrate ? `${f.audioBitrate}kbps` : null),
+  codecs: f.codecs || null,
+  bytes: +f.contentLength || null,
+});
@@ -0,0 +1,591 @@
+// lib/jobs.js – background download jobs with pollable progress
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import fs from "fs";
+import {
+  fetchInfo,
+  pickAudioFormat,
+  save,
+  filenameVars,
+  FILENAME_TEMPLATE,
+  bestThumbnail,
+  downloadThumbnail,
+  videoTags,
+} from "./youtube.js";
+import {
+  mux,
+  tagFile,
+  trimFile,
+  addSubtitles,
+  canEmbedSubtitles,
+  transcodeAudio,
+  nativeAudioTarget,
+  sourceContainer,
+  AUDIO_TARGETS,
+} from "./ffmpeg.js";
+import { itagForQuality, formatFields } from "./formats.js";
+import { findTrack, fetchCues, formatCues, trackName } from "./captions.js";
+import { buildFilename } from "../frontend/shared/filename.js";
+import { createWorkspace } from "./workspace.js";
+import { downloadSlots, muxSlots } from "./scheduler.js";
+import { apiError, classify } from "./errors.js";
+import { log, since, withContext } from "./log.js";
+
+export const PHASES = [
+  "fetching-info",
+  "downloading-video",
+  "downloading-audio",
+  "muxing",
+  "transcoding",
+  "subtitling",
+  "trimming",
+  "tagging",
+  "ready",
+  "failed",
+  "cancelled",
+];
+
+/* the error code of a failure nothing more specific is known about
+   depends on what the job was doing (see frontend/shared/errors.js) */
+const FAILURE_CODES = {
+  "downloading-video": "DOWNLOAD_FAILED",
+  "downloading-audio": "DOWNLOAD_FAILED",
+  muxing: "MUX_FAILED",
+  transcoding: "MUX_FAILED",
+  subtitling: "MUX_FAILED",
+  trimming: "MUX_FAILED",
+  tagging: "MUX_FAILED",
+};
+
+const jobs = new Map();
+const JOB_TTL = 3_600_000; // finished artifacts are kept for 1 h
+
+/* every state change is broadcast as ("update", job) */
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const percent = (done, total) =>
+  total ? Math.round((done / total) * 1000) / 10 : 0;
+
+function update(job, patch) {
+  Object.assign(job, patch, { updatedAt: Date.now() });
+  jobEvents.emit("update", job);
+}
+
+/* what clients get to see – no file-system paths */
+export function publicJob(job) {
+  return {
+    id: job.id,
+    phase: job.phase,
+    queue: job.queue,
+    title: job.title,
+    filename: job.filename,
+    video: job.video,
+    audio: job.audio,
+    mux: job.mux,
+    transcode: job.transcode,
+    trim: job.trim,
+    error: job.error,
+    code: job.code,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString(),
+  };
+}
+
+export const getJob = (id) => jobs.get(id);
+
+/* the progress object of the job's current phase, if it has one */
+export const currentStage = (job) =>
+  ({
+    "downloading-video": job.video,
+    "downloading-audio": job.audio,
+    muxing: job.mux,
+    transcoding: job.transcode,
+    trimming: job.trim,
+  }[job.phase] || null);
+
+/**
+ * Create a job and start it in the background. Pass an already fetched
+ * `info` to skip the fetching-info phase. `audioFormat` (a key of
+ * AUDIO_TARGETS) and `audioBitrate` turn the job into an audio export;
+ * `metadata` embeds title/channel/date tags and the thumbnail as cover;
+ * `start`/`end` (seconds) clip the result, `accurate` re-encodes the cut;
+ * `subtitles` (a caption track id) soft-muxes that track into videos.
+ * `filename` is a template for the artifact's name (see
+ * frontend/shared/filename.js). Batch jobs pass a bucket `quality`
+ * instead of an itag, and a `playlistIndex` for {playlist_index}.
+ * `client` identifies the requester for the scheduler's fair queueing.
+ * `blocking` marks jobs of GET /download, which holdJob() cancels once
+ * their last waiting request is gone; findJob() never mixes the kinds.
+ */
+export function createJob(options, info) {
+  const now = Date.now();
+  const job = {
+    id: randomUUID(),
+    ...settings(options),
+    phase: "fetching-info",
+    queue: null, // { stage, position } while waiting for a slot
+    title: null,
+    filename: null,
+    mime: null,
+    file: null,
+    video: null,
+    audio: null,
+    mux: null,
+    transcode: null,
+    trim: null,
+    error: null,
+    code: null, // error code once failed / cancelled
+    createdAt: now,
+    updatedAt: now,
+  };
+  job.key = jobKey(job);
+  job.ws = createWorkspace(`job-${job.id}`);
+  job.client = options.client || undefined;
+  job.controller = new AbortController();
+  job.slot = null;
+  job.holds = 0;
+  jobs.set(job.id, job);
+  /* everything the job logs, however deep, carries its id (and the id of
+     the request that created it) */
+  withContext({ jobId: job.id }, () => {
+    log.info("job.created", {
+      url: job.url,
+      itag: job.itag,
+      quality: job.quality,
+      audioFormat: job.audioFormat,
+      audioBitrate: job.audioBitrate,
+      metadata: job.metadata,
+      start: job.start,
+      end: job.end,
+      subtitles: job.subtitles,
+      client: job.client,
+    });
+    run(job, info);
+  });
+  return job;
+}
+
+/* the options that decide what a job produces, normalised */
+const settings = ({
+  url,
+  itag,
+  quality,
+  audioFormat,
+  audioBitrate,
+  metadata,
+  start,
+  end,
+  accurate,
+  subtitles,
+  playlistIndex,
+  filename,
+  blocking,
+}) => ({
+  url,
+  itag: itag ? String(itag) : null,
+  quality: quality || null,
+  playlistIndex: playlistIndex || null,
+  template: filename || FILENAME_TEMPLATE,
+  audioFormat: audioFormat || null,
+  audioBitrate: audioBitrate ? +audioBitrate : null,
+  metadata: !!metadata,
+  start: start ?? null,
+  end: end ?? null,
+  accurate: !!accurate,
+  subtitles: subtitles || null,
+  blocking: !!blocking,
+});
+
+const jobKey = (s) =>
+  JSON.stringify([
+    s.url,
+    s.itag,
+    s.quality,
+    s.playlistIndex,
+    s.template,
+    s.audioFormat,
+    s.audioBitrate,
+    s.metadata,
+    s.start,
+    s.end,
+    s.accurate,
+    s.subtitles,
+    s.blocking,
+  ]);
+
+/**
+ * A running or finished job for the same options, if any. A re-request
+ * of the same file (e.g. a resumed download) is then served from that
+ * job's artifact instead of producing a new one, so byte ranges line up.
+ */
+export function findJob(options) {
+  const key = jobKey(settings(options));
+  for (const job of jobs.values())
+    if (job.key === key && (job.phase === "ready" || !settled(job)))
+      return job;
+  return null;
+}
+
+export const settled = (job) =>
+  job.phase === "ready" || job.phase === "failed" || job.phase === "cancelled";
+
+/**
+ * Stop a running job: its ytdl streams are destroyed, ffmpeg is killed
+ * and the workspace removed, leaving it in phase "cancelled". A job that
+ * already settled is dropped along with its artifact.
+ */
+export function cancelJob(job) {
+  if (settled(job)) expire(job.id);
+  else job.controller.abort(new Error("Job was cancelled"));
+}
+
+/**
+ * Mark a blocking request as waiting for `job`; call the returned
+ * function when it goes away. Once the last holder leaves before the
+ * job is done nobody will fetch the file, so the job is cancelled.
+ */
+export function holdJob(job) {
+  job.holds++;
+  let held = true;
+  return () => {
+    if (!held) return;
+    held = false;
+    if (--job.holds === 0 && !settled(job)) cancelJob(job);
+  };
+}
+
+/* resolves once the job is ready, rejects with its coded error if it
+   fails or is cancelled */
+export function waitForJob(job) {
+  return new Promise((ok, fail) => {
+    const check = (j) => {
+      if (j !== job) return;
+      if (j.phase === "ready") ok(j);
+      else if (settled(j)) fail(apiError(j.code, j.error));
+      else return;
+      jobEvents.off("update", check);
+    };
+    jobEvents.on("update", check);
+    check(job);
+  });
+}
+
+/* trade the job's scheduler slot for one of `slots` (a no-op when it
+   holds one already) */
+async function takeSlot(job, slots) {
+  if (job.slot?.name === slots.name) return;
+  job.slot?.release();
+  job.slot = null;
+  const release = await slots.acquire(job.client, {
+    signal: job.controller.signal,
+    onQueue: (position) =>
+      update(job, { queue: position && { stage: slots.name, position } }),
+  });
+  job.slot = { name: slots.name, release };
+}
+
+async function download(job, info, key, format, path) {
+  update(job, {
+    phase: `downloading-${key}`,
+    [key]: { downloaded: 0, total: +format.contentLength || 0, percent: 0 },
+  });
+  const started = Date.now();
+  await save(
+    info,
+    format,
+    path,
+    (downloaded, total) =>
+      update(job, {
+        [key]: { downloaded, total, percent: percent(downloaded, total) },
+      }),
+    job.controller.signal
+  );
+  log.info("job.downloaded", {
+    stream: key,
+    itag: format.itag,
+    bytes: (await fs.promises.stat(path)).size,
+    durationMs: since(started),
+  });
+}
+
+/* how long the ffmpeg run of the current phase (started at `started`)
+   took */
+const ffmpegDone = (job, started) =>
+  log.info("job.ffmpeg", { step: job.phase, durationMs: since(started) });
+
+/* intermediate files go as soon as the job settles, the artifact when
+   the job expires (or right away if it failed or was cancelled) */
+async function run(job, info) {
+  const { ws, controller } = job;
+  try {
+    await takeSlot(job, downloadSlots);
+    info ??= await fetchInfo(job.url, { full: true });
+    controller.signal.throwIfAborted();
+    const itag = job.itag ?? itagForQuality(info.formats, job.quality);
+    const videoF = info.formats.find((f) => f.itag == itag);
+    if (!videoF)
+      throw apiError(
+        "FORMAT_NOT_FOUND",
+        job.itag ? "itag not found" : `No ${job.quality} format`
+      );
+
+    const output =
+      job.audioFormat || !videoF.hasVideo
+        ? await runAudio(job, info, videoF, ws)
+        : await runVideo(job, info, videoF, ws);
+
+    if (job.subtitles && output.hasVideo && canEmbedSubtitles(output.format))
+      await subtitle(job, info, output, ws);
+    if (job.start !== null || job.end !== null)
+      await trim(job, info, output, ws);
+    if (job.metadata) await tag(job, info, output, ws);
+    const { size } = await fs.promises.stat(job.file);
+    update(job, { phase: "ready" });
+    log.info("job.ready", {
+      filename: job.filename,
+      bytes: size,
+      durationMs: since(job.createdAt),
+    });
+  } catch (err) {
+    if (controller.signal.aborted) cancelled(job);
+    else fail(job, err);
+  } finally {
+    job.slot?.release();
+    job.slot = null;
+    ws.clean().catch(() => {});
+    setTimeout(() => expire(job.id), JOB_TTL).unref();
+  }
+}
+
+/* creates the artifact file and names it; returns its path */
+async function artifact(job, info, { ext, mime, quality }) {
+  const out = await job.ws.file(`.${ext}`);
+  job.ws.keep(out);
+  const vars = filenameVars(info.videoDetails, {
+    quality,
+    ext,
+    playlist_index: job.playlistIndex,
+  });
+  update(job, {
+    title: info.videoDetails.title,
+    filename: buildFilename(job.template, vars),
+    mime,
+    file: out,
+  });
+  return out;
+}
+
+/* video: progressive download, or video + audio streams -> mux */
+async function runVideo(job, info, videoF, ws) {
+  const ext = videoF.hasAudio ? videoF.container : "mp4";
+  const out = await artifact(job, info, {
+    ext,
+    mime: `video/${ext}`,
+    quality: videoF.qualityLabel,
+  });
+
+  /* progressive format – one stream, nothing to mux */
+  if (videoF.hasAudio) {
+    log.info("job.formats", { video: formatFields(videoF) });
+    await download(job, info, "video", videoF, out);
+    return { format: ext, hasVideo: true };
+  }
+
+  const audioF = pickAudioFormat(info.formats);
+  log.info("job.formats", {
+    video: formatFields(videoF),
+    audio: formatFields(audioF),
+  });
+  const vTmp = await ws.file(`.${videoF.container}`);
+  const aTmp = await ws.file(audioF.container === "webm" ? ".webm" : ".m4a");
+
+  await download(job, info, "video", videoF, vTmp);
+  await download(job, info, "audio", audioF, aTmp);
+
+  await takeSlot(job, muxSlots);
+  update(job, { phase: "muxing", mux: { percent: 0 } });
+  const started = Date.now();
+  await mux({
+    video: vTmp,
+    audio: aTmp,
+    audioFormat: audioF,
+    out,
+    duration: +info.videoDetails.lengthSeconds,
+    onProgress: (p) =>
+      update(job, { mux: { percent: Math.round(p * 10) / 10 } }),
+    signal: job.controller.signal,
+  });
+  ffmpegDone(job, started);
+  update(job, { mux: { percent: 100 } });
+  return { format: "mp4", hasVideo: true };
+}
+
+/* audio export: best matching audio track -> ffmpeg -> target codec */
+async function runAudio(job, info, picked, ws) {
+  const target = job.audioFormat || nativeAudioTarget(picked);
+  const t = AUDIO_TARGETS[target];
+  const source = picked.hasVideo
+    ? pickAudioFormat(info.formats, sourceContainer(target))
+    : picked;
+  const kbps = job.audioBitrate || source.audioBitrate;
+  const out = await artifact(job, info, {
+    ext: t.ext,
+    mime: t.mime,
+    quality: kbps ? `${kbps}kbps` : t.label,
+  });
+
+  log.info("job.formats", {
+    audio: formatFields(source),
+    target,
+    bitrate: job.audioBitrate,
+  });
+  const aTmp = await ws.file(`.${source.container}`);
+  await download(job, info, "audio", source, aTmp);
+
+  await takeSlot(job, muxSlots);
+  update(job, { phase: "transcoding", transcode: { percent: 0 } });
+  const started = Date.now();
+  await transcodeAudio({
+    input: aTmp,
+    inputFormat: source,
+    target,
+    bitrate: job.audioBitrate,
+    out,
+    duration: +info.videoDetails.lengthSeconds,
+    onProgress: (p) =>
+      update(job, { transcode: { percent: Math.round(p * 10) / 10 } }),
+    signal: job.controller.signal,
+  });
+  ffmpegDone(job, started);
+  update(job, { transcode: { percent: 100 } });
+  return { format: t.format, hasVideo: false };
+}
+
+/* run `fn(out)` to produce a new version of the artifact, then swap it in */
+async function rewrite(job, ws, fn) {
+  const next = await ws.file(`.${job.file.split(".").pop()}`);
+  const started = Date.now();
+  await fn(next);
+  ffmpegDone(job, started);
+  await fs.promises.rename(next, job.file);
+}
+
+/* soft-mux the chosen caption track */
+async function subtitle(job, info, { format }, ws) {
+  const track = findTrack(info, job.subtitles);
+  if (!track)
+    throw apiError(
+      "CAPTIONS_NOT_FOUND",
+      `Caption track not found: ${job.subtitles}`
+    );
+
+  await takeSlot(job, muxSlots);
+  update(job, { phase: "subtitling" });
+  const kind = format === "mp4" ? "srt" : "vtt";
+  const subs = await ws.file(`.${kind}`);
+  const cues = await fetchCues(track, job.controller.signal);
+  await fs.promises.writeFile(subs, formatCues(cues, kind));
+
+  await rewrite(job, ws, (out) =>
+    addSubtitles({
+      input: job.file,
+      subtitles: subs,
+      out,
+      format,
+      lang: track.languageCode,
+      title: trackName(track),
+      signal: job.controller.signal,
+    })
+  );
+}
+
+/* cut the artifact down to [start, end) in place */
+async function trim(job, info, { format, hasVideo }, ws) {
+  const length = +info.videoDetails.lengthSeconds;
+  if (job.start && length && job.start >= length)
+    throw apiError("INVALID_REQUEST", "start is past the end of the video");
+
+  await takeSlot(job, muxSlots);
+  update(job, { phase: "trimming", trim: { percent: 0 } });
+  await rewrite(job, ws, (out) =>
+    trimFile({
+      input: job.file,
+      out,
+      format,
+      start: job.start,
+      end: job.end !== null && length ? Math.min(job.end, length) : job.end,
+      accurate: job.accurate,
+      hasVideo,
+      duration: length,
+      onProgress: (p) =>
+        update(job, { trim: { percent: Math.round(p * 10) / 10 } }),
+      signal: job.controller.signal,
+    })
+  );
+  update(job, { trim: { percent: 100 } });
+}
+
+/* rewrite the artifact with tags + cover; a missing cover is not fatal */
+async function tag(job, info, { format, hasVideo }, ws) {
+  await takeSlot(job, muxSlots);
+  update(job, { phase: "tagging" });
+  const d = info.videoDetails;
+
+  let cover = null;
+  try {
+    cover = await downloadThumbnail(
+      bestThumbnail(d),
+      await ws.file(".jpg"),
+      job.controller.signal
+    );
+  } catch (err) {
+    log.warn("job.no_cover", { err });
+  }
+
+  await rewrite(job, ws, (out) =>
+    tagFile({
+      input: job.file,
+      out,
+      format,
+      tags: videoTags(d),
+      cover,
+      hasVideo,
+      signal: job.controller.signal,
+    })
+  );
+}
+
+function fail(job, err) {
+  const coded = classify(err, FAILURE_CODES[job.phase]);
+  const { message, code } = coded;
+  log[coded.status < 500 ? "warn" : "error"]("job.failed", {
+    phase: job.phase,
+    code,
+    durationMs: since(job.createdAt),
+    err: coded,
+  });
+  job.ws.dispose().catch(() => {});
+  update(job, { phase: "failed", error: message, code, file: null });
+}
+
+function cancelled(job) {
+  log.info("job.cancelled", {
+    phase: job.phase,
+    durationMs: since(job.createdAt),
+  });
+  job.ws.dispose().catch(() => {});
+  update(job, {
+    phase: "cancelled",
+    error: "Cancelled",
+    code: "CANCELLED",
+    file: null,
+  });
+}
+
+function expire(id) {
+  const job = jobs.get(id);
+  if (!job) return;
+  job.ws.dispose().catch(() => {});
+  jobs.delete(id);
+}
@@ -0,0 +1,97 @@
+// lib/log.js – structured JSON logs with request / job correlation ids
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+
+/*
+ * One JSON object per line – warnings and errors on stderr, the rest on
+ * stdout – shaped { time, level, event, …context, …fields }. The context
+ * (see withContext) is inherited across awaits, so whatever a request or
+ * a job causes deep inside the libraries carries its requestId / jobId.
+ *   LOG_LEVEL=debug|info|warn|error   default info
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const THRESHOLD = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+/* run `fn` with `fields` added to every entry it logs, however late */
+export const withContext = (fields, fn) =>
+  context.run({ ...context.getStore(), ...fields }, fn);
+
+/* Errors stringify to {}; keep what a log search needs. Expected API
+   errors (4xx) don't need a stack, the rest get the original one. */
+function errorFields(err) {
+  const expected = err.status < 500;
+  return {
+    message: err.message,
+    code: err.code,
+    status: err.status,
+    stack: expected ? undefined : (err.cause?.stack ?? err.stack),
+  };
+}
+
+function write(level, event, fields) {
+  if (LEVELS[level] < THRESHOLD) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    event,
+    ...context.getStore(),
+    ...fields,
+  };
+  const line = JSON.stringify(entry, (_key, value) =>
+    value instanceof Error ? errorFields(value) : value
+  );
+  const out = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  out.write(line + "\n");
+}
+
+/* log.info("job.ready", { bytes }) – event names are dotted, area first */
+export const log = {
+  debug: (event, fields) => write("debug", event, fields),
+  info: (event, fields) => write("info", event, fields),
+  warn: (event, fields) => write("warn", event, fields),
+  error: (event, fields) => write("error", event, fields),
+};
+
+/* ms since `start` (a Date.now()), for the *Ms fields */
+export const since = (start) => Date.now() - start;
+
+/* a caller-supplied X-Request-Id is kept if it looks like an id, so a
+   proxy's or client's own id threads through our logs too */
+const VALID_ID = /^[\w.:-]{1,64}$/;
+
+/**
+ * Express middleware: gives every request an id (req.id, echoed in the
+ * X-Request-Id response header), makes it the log context of everything
+ * the request runs, and logs one "request" entry once the response is
+ * done – with status, duration, bytes sent and, when sendError answered,
+ * the error (res.locals.error).
+ */
+export function requestLogger(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  const id = VALID_ID.test(incoming || "") ? incoming : randomUUID();
+  req.id = id;
+  res.set("X-Request-Id", id);
+
+  const started = Date.now();
+  const socket = req.socket;
+  const sentBefore = socket.bytesWritten;
+  res.on("close", () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+    write(level, "request", {
+      requestId: id,
+      method: req.method,
+      url: req.originalUrl,
+      status,
+      durationMs: since(started),
+      bytes: socket.bytesWritten - sentBefore,
+      completed: res.writableFinished,
+      client: req.ip,
+      apiKey: req.apiKey?.name,
+      error: res.locals.error,
+    });
+  });
+  withContext({ requestId: id }, next);
+}
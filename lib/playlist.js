@@ -0,0 +1,36 @@
+// lib/playlist.js – playlist listing via ytpl
+import ytpl from "@distube/ytpl";
+import { upstream } from "./youtube.js";
+
+/* "1:02:03" -> 3723 */
+const seconds = (text) =>
+  text ? text.split(":").reduce((acc, p) => acc * 60 + Number(p), 0) : null;
+
+/**
+ * Ordered playlist entries. ytpl silently drops private, deleted and
+ * upcoming videos, so we report how many went missing as `unavailable`;
+ * live streams are listed but can't be downloaded.
+ */
+export async function getPlaylist(playlistId) {
+  const pl = await upstream.call(() => ytpl(playlistId, { limit: Infinity }));
+  const entries = pl.items.map((item, i) => ({
+    index: i + 1,
+    id: item.id,
+    title: item.title,
+    author: item.author?.name || null,
+    duration: seconds(item.duration),
+    durationText: item.duration,
+    thumbnail: item.thumbnail,
+    available: !item.isLive,
+    reason: item.isLive ? "live" : null,
+  }));
+
+  return {
+    id: pl.id,
+    title: pl.title,
+    url: pl.url,
+    total: pl.total_items || entries.length,
+    unavailable: Math.max(0, (pl.total_items || 0) - entries.length),
+    entries,
+  };
+}
@@ -0,0 +1,49 @@
+// lib/ratelimit.js – inbound per-client request rate limiting
+import { apiError, sendError } from "./errors.js";
+
+/**
+ * Express middleware allowing `max` requests per `window` ms for each
+ * key (the client address by default), as a fixed window per key.
+ * Meant for the routes that cost upstream work, not for job polling.
+ * Every response carries RateLimit-Limit / -Remaining / -Reset; over
+ * the limit it's a 429 with Retry-After.
+ *   RATE_LIMIT_MAX=<n>        requests per window (0 = off), default 60
+ *   RATE_LIMIT_WINDOW=<s>     window length, default 60
+ */
+export function rateLimit({
+  max = +(process.env.RATE_LIMIT_MAX ?? 60),
+  window = (+process.env.RATE_LIMIT_WINDOW || 60) * 1000,
+  key = (req) => req.ip,
+} = {}) {
+  const windows = new Map(); // key -> { count, reset }
+
+  /* forget finished windows now and then */
+  setInterval(() => {
+    const now = Date.now();
+    for (const [k, w] of windows) if (w.reset <= now) windows.delete(k);
+  }, window).unref();
+
+  return (req, res, next) => {
+    if (!max || req.method === "OPTIONS") return next();
+
+    const now = Date.now();
+    const k = key(req);
+    let w = windows.get(k);
+    if (!w || w.reset <= now) {
+      w = { count: 0, reset: now + window };
+      windows.set(k, w);
+    }
+    w.count++;
+
+    const resetIn = Math.ceil((w.reset - now) / 1000);
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - w.count)),
+      "RateLimit-Reset": String(resetIn),
+    });
+    if (w.count <= max) return next();
+
+    const message = `Too many requests, try again in ${resetIn} s`;
+    sendError(res, apiError("RATE_LIMITED", message, { retryAfter: resetIn }));
+  };
+}
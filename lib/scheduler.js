@@ -0,0 +1,144 @@
+// lib/scheduler.js – bounded, per-client fair slots for downloads and ffmpeg
+
+/*
+ * Downloads (ytdl streams) and ffmpeg runs are limited separately, so a
+ * long mux doesn't hold up fetching the next video and vice versa:
+ *   DOWNLOAD_CONCURRENCY=<n>   default 2
+ *   MUX_CONCURRENCY=<n>        default 1
+ *   QUEUE_LIMIT=<n>            waiting requests before new work gets 503
+ * Waiters are served round-robin by client, so one client queueing a
+ * whole playlist can't starve everybody else.
+ */
+const DOWNLOAD_CONCURRENCY = +process.env.DOWNLOAD_CONCURRENCY || 2;
+const MUX_CONCURRENCY = +process.env.MUX_CONCURRENCY || 1;
+const QUEUE_LIMIT = +process.env.QUEUE_LIMIT || 20;
+
+/* Retry-After bounds, in seconds */
+const MIN_RETRY = 5;
+const MAX_RETRY = 600;
+
+/**
+ * `acquire(client, { signal, onQueue })` resolves with a release function
+ * once a slot is free. While waiting, onQueue(position) reports the
+ * 1-based place in line, and onQueue(null) once the slot is granted;
+ * aborting `signal` leaves the queue and rejects.
+ */
+export function createLimiter(name, limit) {
+  let active = 0;
+  let avgHold = 30_000; // ms, moving average – only feeds Retry-After
+  const queues = new Map(); // client -> waiters; Map order is the rotation
+
+  const waiting = () => {
+    let n = 0;
+    for (const list of queues.values()) n += list.length;
+    return n;
+  };
+
+  /* serving order: the first waiter of every client, then the second … */
+  function reportPositions() {
+    const lists = [...queues.values()];
+    let position = 0;
+    for (let round = 0; ; round++) {
+      const row = lists.filter((l) => l.length > round);
+      if (!row.length) return;
+      for (const list of row) {
+        const w = list[round];
+        if (w.position !== ++position) w.onQueue((w.position = position));
+      }
+    }
+  }
+
+  function grant() {
+    const started = Date.now();
+    active++;
+    let held = true;
+    return () => {
+      if (!held) return;
+      held = false;
+      active--;
+      avgHold = avgHold * 0.8 + (Date.now() - started) * 0.2;
+      next();
+    };
+  }
+
+  function next() {
+    while (active < limit && queues.size) {
+      const [client, list] = queues.entries().next().value;
+      const w = list.shift();
+      /* to the back of the rotation */
+      queues.delete(client);
+      if (list.length) queues.set(client, list);
+      w.cleanup();
+      w.onQueue(null);
+      w.ok(grant());
+    }
+    reportPositions();
+  }
+
+  function acquire(client = "anonymous", { signal, onQueue } = {}) {
+    onQueue ||= () => {};
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    if (active < limit && !queues.size) return Promise.resolve(grant());
+
+    return new Promise((ok, fail) => {
+      const leave = () => {
+        const list = queues.get(client) || [];
+        list.splice(list.indexOf(w), 1);
+        if (!list.length) queues.delete(client);
+        fail(signal.reason);
+        reportPositions();
+      };
+      const w = {
+        ok,
+        onQueue,
+        position: null,
+        cleanup: () => signal?.removeEventListener("abort", leave),
+      };
+      signal?.addEventListener("abort", leave, { once: true });
+      if (!queues.has(client)) queues.set(client, []);
+      queues.get(client).push(w);
+      reportPositions();
+    });
+  }
+
+  return {
+    name,
+    acquire,
+    get waiting() {
+      return waiting();
+    },
+    /* rough seconds until a slot frees up for a newcomer */
+    eta: () => Math.ceil(((waiting() + 1) / limit) * (avgHold / 1000)),
+    stats: () => ({
+      limit,
+      active,
+      waiting: waiting(),
+      clients: queues.size,
+      avgHoldMs: Math.round(avgHold),
+    }),
+  };
+}
+
+export const downloadSlots = createLimiter("download", DOWNLOAD_CONCURRENCY);
+export const muxSlots = createLimiter("mux", MUX_CONCURRENCY);
+
+/**
+ * { error, retryAfter } when the queues are full and new work should be
+ * refused with 503, else null.
+ */
+export function queueFull() {
+  const waiting = downloadSlots.waiting + muxSlots.waiting;
+  if (waiting < QUEUE_LIMIT) return null;
+  const eta = Math.max(downloadSlots.eta(), muxSlots.eta());
+  const retryAfter = Math.min(MAX_RETRY, Math.max(MIN_RETRY, eta));
+  return {
+    error: `Server is busy (${waiting} waiting), try again in ${retryAfter} s`,
+    retryAfter,
+  };
+}
+
+export const schedulerStats = () => ({
+  download: downloadSlots.stats(),
+  mux: muxSlots.stats(),
+  queueLimit: QUEUE_LIMIT,
+});
@@ -0,0 +1,137 @@
+// lib/workspace.js – per-job temp directories, stale sweep and disk quota
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { randomUUID } from "crypto";
+import { log } from "./log.js";
+
+/*
+ * Every job / batch gets its own directory under WORKSPACE_ROOT, so
+ * whatever happens to the work, removing that directory is the cleanup.
+ *   WORKSPACE_DIR=<path>        default: <os tmp>/yt-downloader
+ *   WORKSPACE_QUOTA_MB=<n>      refuse new work above this much (0 = off)
+ *   WORKSPACE_STALE_MIN=<n>     sweep directories idle for this long
+ */
+export const WORKSPACE_ROOT =
+  process.env.WORKSPACE_DIR || path.join(os.tmpdir(), "yt-downloader");
+const QUOTA = (+process.env.WORKSPACE_QUOTA_MB || 0) * 1024 * 1024;
+const STALE_AFTER = (+process.env.WORKSPACE_STALE_MIN || 120) * 60_000;
+
+/* a crash leaves directories that only turn stale later, so the sweep
+   runs again every so often, not just at startup */
+export const SWEEP_INTERVAL = Math.min(STALE_AFTER, 10 * 60_000);
+
+const live = new Set(); // directories of this process' workspaces
+
+/**
+ * A fresh workspace. `file(postfix)` hands out a tracked path inside it,
+ * `keep(path)` exempts a file (the artifact) from `clean()`, which
+ * removes the other files, and `dispose()` removes the whole directory.
+ * All three are safe to call more than once.
+ */
+export function createWorkspace(label = "ws") {
+  const dir = path.join(WORKSPACE_ROOT, `${label}-${randomUUID()}`);
+  const files = new Set();
+  const kept = new Set();
+  let created = null;
+  live.add(dir);
+
+  const rm = (p) => fs.promises.rm(p, { force: true, recursive: true });
+
+  return {
+    dir,
+    async file(postfix = "") {
+      created ||= fs.promises.mkdir(dir, { recursive: true });
+      await created;
+      const p = path.join(dir, `${randomUUID()}${postfix}`);
+      files.add(p);
+      return p;
+    },
+    keep: (p) => kept.add(p),
+    async clean() {
+      const drop = [...files].filter((p) => !kept.has(p));
+      drop.forEach((p) => files.delete(p));
+      await Promise.all(drop.map(rm));
+    },
+    async dispose() {
+      files.clear();
+      kept.clear();
+      live.delete(dir);
+      await rm(dir);
+    },
+  };
+}
+
+/* bytes used under WORKSPACE_ROOT */
+export async function workspaceUsage() {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(WORKSPACE_ROOT, {
+      recursive: true,
+      withFileTypes: true,
+    });
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+  const sizes = await Promise.all(
+    entries
+      .filter((e) => e.isFile())
+      .map((e) =>
+        fs.promises
+          .stat(path.join(e.parentPath ?? e.path, e.name))
+          .then((s) => s.size, () => 0)
+      )
+  );
+  return sizes.reduce((a, b) => a + b, 0);
+}
+
+/* an error message when new work must be refused, else null */
+export async function quotaError() {
+  if (!QUOTA) return null;
+  const used = await workspaceUsage();
+  return used >= QUOTA
+    ? `Server is out of temp space (${mb(used)} of ${mb(QUOTA)} in use), ` +
+        "try again later"
+    : null;
+}
+
+const mb = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+export async function workspaceStats() {
+  return {
+    dir: WORKSPACE_ROOT,
+    active: live.size,
+    used: await workspaceUsage(),
+    quota: QUOTA || null,
+  };
+}
+
+/**
+ * Remove what a crashed or killed server left behind: directories under
+ * WORKSPACE_ROOT that no live workspace owns and that haven't been
+ * touched for WORKSPACE_STALE_MIN (another instance may share the root).
+ */
+export async function sweepWorkspaces() {
+  let names;
+  try {
+    names = await fs.promises.readdir(WORKSPACE_ROOT);
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+  let removed = 0;
+  for (const name of names) {
+    const p = path.join(WORKSPACE_ROOT, name);
+    if (live.has(p)) continue;
+    try {
+      const { mtimeMs } = await fs.promises.stat(p);
+      if (Date.now() - mtimeMs < STALE_AFTER) continue;
+      await fs.promises.rm(p, { force: true, recursive: true });
+      removed++;
+    } catch (err) {
+      log.warn("workspace.sweep_failed", { path: p, err });
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,197 @@
+// lib/youtube.js – ytdl helpers shared by the routes and the job runner
+import ytdl from "@distube/ytdl-core";
+import fs from "fs";
+import { pipeline } from "stream";
+import { cacheFromEnv } from "./cache.js";
+import { createBreaker, isThrottle } from "./breaker.js";
+import { apiError } from "./errors.js";
+import { log, since } from "./log.js";
+import { DEFAULT_TEMPLATE } from "../frontend/shared/filename.js";
+
+/* global request headers */
+export const COMMON = {
+  requestOptions: {
+    headers: {
+      "user-agent":
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) " +
+        "AppleWebKit/537.36 (KHTML, like Gecko) " +
+        "Chrome/126.0 Safari/537.36",
+      cookie: process.env.YT_COOKIE || "",
+    },
+  },
+};
+
+/* ----------------------- upstream breaker ------------------------ */
+/* every call to YouTube goes through this; see lib/breaker.js
+     YT_BREAKER_THRESHOLD=<n>   throttle errors per minute before pausing
+     YT_BREAKER_COOLDOWN=<s>    first pause, doubled on each failed probe */
+export const upstream = createBreaker({
+  name: "YouTube",
+  threshold: +process.env.YT_BREAKER_THRESHOLD || 3,
+  cooldown: (+process.env.YT_BREAKER_COOLDOWN || 60) * 1000,
+});
+
+/* ------------------------- info cache ---------------------------- */
+/* keyed on the video id so every URL shape shares one entry. A "basic"
+   entry (no deciphered stream URLs) is enough for /info; downloads ask
+   for `full` and upgrade the entry. */
+export const infoCache = cacheFromEnv("INFO_CACHE", {
+  ttl: 900_000,
+  maxEntries: 500,
+  file: ".cache/info.json",
+});
+
+export async function fetchInfo(url, { full = false } = {}) {
+  const id = ytdl.getVideoID(url);
+  const lookup = (cache, fields) =>
+    log.info("info.lookup", { videoId: id, full, cache, ...fields });
+  const hit = infoCache.get(id);
+  if (hit && (hit.full || !full)) {
+    lookup("hit");
+    return notLive(hit.info);
+  }
+
+  /* while YouTube throttles us, an expired entry beats an error */
+  if (upstream.open) {
+    const stale = infoCache.get(id, { stale: true });
+    const usable = stale && (stale.full || !full);
+    lookup(usable ? "stale" : "throttled");
+    if (usable) return notLive(stale.info);
+    throw upstream.openError();
+  }
+
+  const started = Date.now();
+
+  const getInfo = () => upstream.call(() => ytdl.getInfo(url, COMMON));
+  let info;
+  let isFull = true;
+  if (full) info = await getInfo();
+  else {
+    try {
+      info = await upstream.call(() => ytdl.getBasicInfo(url, COMMON));
+      isFull = false;
+      if (!info.formats?.length) {
+        info = await getInfo();
+        isFull = true;
+      }
+    } catch (err) {
+      /* a throttled (or paused) upstream won't do better for getInfo –
+         asking again would only count twice towards the breaker */
+      if (isThrottle(err) || err.code === "UPSTREAM_THROTTLED") throw err;
+      info = await getInfo();
+    }
+  }
+
+  info = slim(info);
+  infoCache.set(id, { full: isFull, info });
+  lookup("miss", {
+    durationMs: since(started),
+    formats: info.formats?.length || 0,
+    live: !!info.videoDetails?.isLive,
+  });
+  return notLive(info);
+}
+
+/* ytdl happily lists a running stream's HLS formats, but there is no
+   end to download (or mux) until the broadcast is over */
+function notLive(info) {
+  if (info.videoDetails?.isLive)
+    throw apiError(
+      "LIVE_NOT_SUPPORTED",
+      "Live streams can't be downloaded until they have ended"
+    );
+  return info;
+}
+
+/* only what we read later – raw info objects run to megabytes */
+const slim = (info) => ({
+  full: info.full,
+  formats: info.formats,
+  videoDetails: info.videoDetails,
+  player_response: {
+    playabilityStatus: info.player_response?.playabilityStatus,
+    captions: info.player_response?.captions,
+  },
+});
+
+/* prefer an m4a/mp4 audio track so the mux can stream-copy it;
+   pass "webm" to prefer opus instead */
+export function pickAudioFormat(formats, container = "mp4") {
+  const wanted = container === "webm" ? ["webm"] : ["m4a", "mp4"];
+  return (
+    formats.find(
+      (f) => f.hasAudio && !f.hasVideo && wanted.includes(f.container)
+    ) ||
+    ytdl.chooseFormat(formats, {
+      quality: "highestaudio",
+      filter: "audioonly",
+    })
+  );
+}
+
+/* download one format of a full `info` to `out`;
+   onProgress(downloaded, total) and the AbortSignal are optional */
+export function save(info, format, out, onProgress, signal) {
+  return new Promise((ok, fail) => {
+    signal?.throwIfAborted();
+    upstream.check();
+    const ws = fs.createWriteStream(out);
+    const stream = ytdl.downloadFromInfo(info, { ...COMMON, format });
+    if (onProgress)
+      stream.on("progress", (_chunk, downloaded, total) =>
+        onProgress(downloaded, total)
+      );
+    /* destroying the ytdl stream aborts its pending HTTP requests */
+    const abort = () => {
+      stream.destroy();
+      fail(signal.reason);
+    };
+    signal?.addEventListener("abort", abort, { once: true });
+
+    stream.on("error", (err) => upstream.failure(err));
+    /* pipeline closes `ws` whichever side fails – a descriptor left open
+       keeps an unlinked partial file's space taken */
+    pipeline(stream, ws, (err) => {
+      signal?.removeEventListener("abort", abort);
+      if (err) fail(err);
+      else ok();
+    });
+  });
+}
+
+/* default template for every filename the server hands out */
+export const FILENAME_TEMPLATE =
+  process.env.FILENAME_TEMPLATE || DEFAULT_TEMPLATE;
+
+/* values for buildFilename, straight from info.videoDetails */
+export const filenameVars = (d, extra = {}) => ({
+  title: d.title,
+  channel: d.author?.name || d.ownerChannelName,
+  id: d.videoId,
+  upload_date: d.uploadDate || d.publishDate,
+  ...extra,
+});
+
+/* largest jpeg thumbnail – webp can't be embedded as cover art */
+export function bestThumbnail({ thumbnails = [], videoId }) {
+  const jpeg = thumbnails
+    .filter((t) => /\.jpe?g(\?|$)/.test(t.url))
+    .sort((a, b) => b.width - a.width)[0];
+  return jpeg?.url || `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`;
+}
+
+export async function downloadThumbnail(url, out, signal) {
+  const r = await fetch(url, { ...COMMON.requestOptions, signal });
+  if (!r.ok) throw new Error(`Thumbnail fetch failed: HTTP ${r.status}`);
+  await fs.promises.writeFile(out, Buffer.from(await r.arrayBuffer()));
+  return out;
+}
+
+/* the tags we embed, straight from info.videoDetails */
+export const videoTags = (d) => ({
+  title: d.title,
+  artist: d.author?.name || d.ownerChannelName,
+  date: d.uploadDate || d.publishDate,
+  description: d.description,
+  comment: d.video_url,
+});
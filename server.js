@@ -2,217 +2,632 @@
 import express from "express";
 import cors from "cors";
 import ytdl from "@distube/ytdl-core"; // 4.16.x or newer
-import prettyBytes from "pretty-bytes";
-import ffmpeg from "fluent-ffmpeg";
-import { file } from "tmp-promise";
-import fs from "fs";
+import { pipeline } from "stream";
+import {
+  COMMON,
+  fetchInfo,
+  infoCache,
+  upstream,
+  filenameVars,
+  FILENAME_TEMPLATE,
+} from "./lib/youtube.js";
+import {
+  bucketFormats,
+  catalogueFormats,
+  audioExports,
+  formatFields,
+  QUALITIES,
+} from "./lib/formats.js";
+import { AUDIO_TARGETS } from "./lib/ffmpeg.js";
+import { getPlaylist } from "./lib/playlist.js";
+import {
+  captionTracks,
+  findTrack,
+  fetchCues,
+  formatCues,
+  CAPTION_FORMATS,
+} from "./lib/captions.js";
+import { parseYtUrl, parseTimestamp } from "./frontend/shared/yturl.js";
+import { buildFilename, templateError } from "./frontend/shared/filename.js";
+import {
+  createBatch,
+  getBatch,
+  cancelBatch,
+  publicBatch,
+  BUNDLES,
+  MAX_ENTRIES,
+} from "./lib/batches.js";
+import {
+  createJob,
+  findJob,
+  holdJob,
+  cancelJob,
+  settled,
+  getJob,
+  publicJob,
+  waitForJob,
+  jobEvents,
+} from "./lib/jobs.js";
+import {
+  quotaError,
+  sweepWorkspaces,
+  workspaceStats,
+  SWEEP_INTERVAL,
+} from "./lib/workspace.js";
+import { downloadSlots, queueFull, schedulerStats } from "./lib/scheduler.js";
+import {
+  requireApiKey,
+  countRequest,
+  keyUsage,
+  authStats,
+} from "./lib/auth.js";
+import { rateLimit } from "./lib/ratelimit.js";
+import { apiError, sendError } from "./lib/errors.js";
+import { log, requestLogger } from "./lib/log.js";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-/* ------------------ 1.  global request headers ------------------- */
-const COMMON = {
-  requestOptions: {
-    headers: {
-      "user-agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) " +
-        "AppleWebKit/537.36 (KHTML, like Gecko) " +
-        "Chrome/126.0 Safari/537.36",
-      cookie: process.env.YT_COOKIE || "",
-    },
-  },
-};
+/* behind Render's (or any) proxy, TRUST_PROXY=<hops> makes req.ip the
+   real client address, which the rate limit and the scheduler's fairness
+   are keyed on. Render (which sets RENDER) is always one hop away; on
+   other hosts a wrong guess would let clients pick their own address
+   through X-Forwarded-For, so it stays off there unless configured. */
+const TRUST_PROXY = process.env.TRUST_PROXY ?? (process.env.RENDER ? "1" : "");
+app.set("trust proxy", +TRUST_PROXY || false);
+
+/* ----------------------- 1. middleware --------------------------- */
+/* request id (X-Request-Id) + one JSON log entry per request */
+app.use(requestLogger);
 
-/* ----------------------- 2. middleware --------------------------- */
 app.use(
   cors({
     origin: ["chrome-extension://*", "moz-extension://*", "*"],
-    methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: ["GET", "POST", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+    exposedHeaders: ["X-Request-Id"],
   })
 );
 
-app.use((req, _res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-  next();
-});
+app.use(express.json());
 
-/* simple health check */
+/* simple health check – open to everyone, backend discovery probes it
+   on every popup open, so it stays cheap and tells nothing internal */
 app.get("/", (_req, res) => {
   res.json({
     status: "OK",
     message: "YouTube Downloader API is running",
-    endpoints: ["/info", "/download"],
+    endpoints: [
+      "/info",
+      "/download",
+      "/jobs",
+      "/playlist",
+      "/batches",
+      "/subtitles",
+      "/usage",
+      "/stats",
+    ],
     timestamp: new Date().toISOString(),
   });
 });
 
-/* ------------------ 3.  15-min in-memory cache ------------------- */
-const cache = new Map();
-const TTL = 900_000;
+/* everything below needs an API key once keys are configured */
+app.use(requireApiKey);
 
-/* -------------------------- /info -------------------------------- */
-app.get("/info", async (req, res) => {
-  const videoUrl = req.query.url;
-  if (!videoUrl) return res.status(400).json({ error: "Missing url param" });
-  if (!ytdl.validateURL(videoUrl))
-    return res.status(400).json({ error: "Invalid YouTube URL" });
+/* per-address limit and the key's daily request quota, for the routes
+   that make us call YouTube – polling a job costs neither */
+const limited = [rateLimit(), countRequest];
 
-  if (cache.has(videoUrl)) return res.json(cache.get(videoUrl));
+/* today's usage and limits of the caller's key */
+app.get("/usage", (req, res) => {
+  if (!req.apiKey) return res.json({ auth: false });
+  res.json({ auth: true, ...keyUsage(req) });
+});
 
-  try {
-    let info;
-    try {
-      info = await ytdl.getBasicInfo(videoUrl, COMMON);
-      if (!info.formats?.length) {
-        info = await ytdl.getInfo(videoUrl, COMMON);
-      }
-    } catch {
-      info = await ytdl.getInfo(videoUrl, COMMON);
-    }
+/* the server's own state, for operators */
+app.get("/stats", async (_req, res) => {
+  res.json({
+    cache: infoCache.stats(),
+    workspace: await workspaceStats(),
+    scheduler: schedulerStats(),
+    auth: authStats(),
+    upstream: upstream.stats(),
+    timestamp: new Date().toISOString(),
+  });
+});
 
-    const title = info.videoDetails.title;
-    const buckets = {
-      "1080p": null,
-      "720p": null,
-      "480p": null,
-      "360p": null,
-      audio: null,
-    };
-
-    for (const f of info.formats) {
-      const q = f.qualityLabel || "";
-      if (f.container === "mp4" && f.hasVideo) {
-        if (q.startsWith("1080") && !buckets["1080p"]) buckets["1080p"] = f;
-        else if (q.startsWith("720") && !buckets["720p"]) buckets["720p"] = f;
-        else if (q.startsWith("480") && !buckets["480p"]) buckets["480p"] = f;
-        else if (q.startsWith("360") && !buckets["360p"]) buckets["360p"] = f;
-      }
-      if (f.hasAudio && !f.hasVideo && !buckets.audio) buckets.audio = f;
-    }
+/* -------------------------- /info -------------------------------- */
+/* ?mode=all lists every format instead of the fixed quality buckets */
+app.get("/info", limited, async (req, res) => {
+  const mode = req.query.mode === "all" ? "all" : "buckets";
+  if (!req.query.url) return sendError(res, badRequest("Missing url param"));
+  const { url: videoUrl, error } = parseVideoUrl(req.query.url);
+  if (error) return sendError(res, error);
 
-    const formats = Object.entries(buckets)
-      .filter(([, f]) => f)
-      .map(([k, f]) => ({
-        itag: f.itag,
-        label: k === "audio" ? "Audio only" : k,
-        ext: "MP4",
-        sizeMB: f.contentLength ? prettyBytes(+f.contentLength) : "—",
-      }));
+  try {
+    const info = await fetchInfo(videoUrl);
 
-    if (!formats.length)
-      return res.status(404).json({ error: "No suitable formats found" });
+    const { title, channel, id, upload_date } = filenameVars(
+      info.videoDetails
+    );
+    const formats = [
+      ...(mode === "all"
+        ? catalogueFormats(info.formats)
+        : bucketFormats(info.formats)),
+      ...audioExports(info.formats, +info.videoDetails.lengthSeconds),
+    ];
 
-    const payload = { title, formats };
-    cache.set(videoUrl, payload);
-    setTimeout(() => cache.delete(videoUrl), TTL);
+    if (!formats.length)
+      return sendError(
+        res,
+        apiError("FORMAT_NOT_FOUND", "No suitable formats found")
+      );
 
-    return res.json(payload);
+    return res.json({
+      title,
+      channel,
+      id,
+      uploadDate: upload_date,
+      mode,
+      formats,
+      captions: captionTracks(info),
+    });
   } catch (err) {
-    console.error("[/info] FULL error:", err);
-    const msg = String(err?.message || "");
-    if (msg.includes("age"))
-      return res.status(451).json({ error: "Age-restricted." });
-    if (msg.includes("403"))
-      return res.status(429).json({ error: "Throttled by YouTube." });
-    if (msg.includes("429"))
-      return res.status(429).json({ error: "Rate-limited." });
-    if (msg.includes("unavailable"))
-      return res.status(410).json({ error: "Video unavailable." });
-    return res.status(500).json({ error: "Failed to fetch video info" });
+    sendError(res, err);
   }
 });
 
 /* ------------------------- /download ----------------------------- */
-app.get("/download", async (req, res) => {
-  const { url: videoUrl, itag } = req.query;
-  if (!ytdl.validateURL(videoUrl))
-    return res.status(400).send("Invalid YouTube URL");
-  if (!itag) return res.status(400).send("Missing itag parameter");
+/* blocking variant: responds only once the file is ready */
+app.get("/download", limited, async (req, res) => {
+  const { error, options } = jobOptions(req.query);
+  if (error) return sendError(res, error);
+  const { url: videoUrl, itag } = options;
+  /* the client may hang up during any of the awaits below */
+  const gone = new AbortController();
+  res.on("close", () => gone.abort());
 
   try {
-    const info = await ytdl.getInfo(videoUrl, COMMON);
+    const info = await fetchInfo(videoUrl, { full: true });
     const videoF = info.formats.find((f) => f.itag == itag);
-    if (!videoF) return res.status(404).send("itag not found");
+    if (!videoF)
+      return sendError(res, apiError("FORMAT_NOT_FOUND", "itag not found"));
 
-    const safeTitle = info.videoDetails.title.replace(/[^\w\s\-]/g, "");
-    res.header(
-      "Content-Disposition",
-      `attachment; filename="${safeTitle}.mp4"`
-    );
-    res.header("Content-Type", "video/mp4");
+    if (videoF.hasVideo && videoF.hasAudio && isPlainDownload(options)) {
+      upstream.check();
+      if (refuseWhenBusy(res)) return;
+      /* the stream counts against the download limit while it runs */
+      const release = await downloadSlots.acquire(clientOf(req), {
+        signal: gone.signal,
+      });
+      if (gone.signal.aborted) return release();
+      res.on("close", release);
 
-    if (videoF.hasAudio) {
-      return ytdl(videoUrl, { ...COMMON, format: videoF }).pipe(res);
+      const vars = filenameVars(info.videoDetails, {
+        quality: videoF.qualityLabel,
+        ext: videoF.container,
+      });
+      /* res.attachment adds an RFC 5987 filename* for non-ASCII names */
+      res.attachment(buildFilename(options.filename, vars));
+      res.header("Content-Type", `video/${videoF.container}`);
+      log.info("download.progressive", {
+        videoId: info.videoDetails.videoId,
+        format: formatFields(videoF),
+      });
+      return sendProgressive(req, res, info, videoF);
     }
 
-    let audioF = info.formats.find(
-      (f) =>
-        f.hasAudio &&
-        !f.hasVideo &&
-        (f.container === "m4a" || f.container === "mp4")
-    );
-    if (!audioF) {
-      audioF = ytdl.chooseFormat(info.formats, {
-        quality: "highestaudio",
-        filter: "audioonly",
-      });
+    /* an identical earlier request (e.g. a resumed download) is served
+       from the same artifact, so its byte ranges still line up. Only
+       blocking jobs qualify: a POST /jobs job has no holders to count,
+       so our hanging up must not cancel it. */
+    if (gone.signal.aborted) return; // nobody is left to want the file
+    const blocking = { ...options, blocking: true };
+    let job = findJob(blocking);
+    if (!job) {
+      if (refuseWhenBusy(res)) return;
+      const full = await quotaError();
+      if (full) return sendError(res, apiError("DISK_FULL", full));
+      if (gone.signal.aborted) return;
+      job = createJob({ ...blocking, client: clientOf(req) }, info);
     }
+    /* a client hanging up before the file is ready cancels the job */
+    res.on("close", holdJob(job));
+    log.info("download.job", { jobId: job.id, phase: job.phase });
+    sendArtifact(res, await waitForJob(job));
+  } catch (err) {
+    if (res.destroyed) return; // the client is gone, nobody to tell
+    sendError(res, err);
+  }
+});
+
+/* --------------------------- /jobs ------------------------------- */
+app.post("/jobs", limited, async (req, res) => {
+  const { error, options } = jobOptions(req.body);
+  if (error) return sendError(res, error);
+  if (refuseWhenBusy(res)) return;
+  const full = await quotaError();
+  if (full) return sendError(res, apiError("DISK_FULL", full));
+
+  const job = createJob({ ...options, client: clientOf(req) });
+  res.status(202).location(`/jobs/${job.id}`).json(publicJob(job));
+});
+
+app.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return sendError(res, apiError("NOT_FOUND", "Job not found"));
+  res.json(publicJob(job));
+});
+
+/* cancel a running job, or drop a finished one and its file */
+app.delete("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return sendError(res, apiError("NOT_FOUND", "Job not found"));
+  cancelJob(job);
+  res.status(204).end();
+});
+
+/* live progress as Server-Sent Events; closes once the job settles */
+const SSE_INTERVAL = 250; // max one progress event per 250 ms
+const SSE_KEEPALIVE = 15_000;
 
-    const vTmp = await file({ postfix: ".mp4" });
-    const aTmp = await file({
-      postfix: audioF.container === "webm" ? ".webm" : ".m4a",
+app.get("/jobs/:id/events", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return sendError(res, apiError("NOT_FOUND", "Job not found"));
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let lastPhase = null;
+  let lastSent = 0;
+  const send = (event, j) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(publicJob(j))}\n\n`);
+    lastPhase = j.phase;
+    lastSent = Date.now();
+  };
+
+  const onUpdate = (j) => {
+    if (j !== job) return;
+    if (settled(j)) {
+      send(j.phase, j);
+      return close();
+    }
+    if (j.phase !== lastPhase || Date.now() - lastSent >= SSE_INTERVAL)
+      send("progress", j);
+  };
+
+  const ping = setInterval(() => res.write(": ping\n\n"), SSE_KEEPALIVE);
+  const close = () => {
+    clearInterval(ping);
+    jobEvents.off("update", onUpdate);
+    res.end();
+  };
+
+  jobEvents.on("update", onUpdate);
+  req.on("close", close);
+  onUpdate(job);
+});
+
+app.get("/jobs/:id/file", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return sendError(res, apiError("NOT_FOUND", "Job not found"));
+  if (job.phase !== "ready")
+    return sendError(
+      res,
+      apiError("NOT_READY", `Job is not ready (phase: ${job.phase})`)
+    );
+  sendArtifact(res, job);
+});
+
+/* ------------------------ /subtitles ----------------------------- */
+/* ?url=&track=<caption id from /info>&format=srt|vtt|txt */
+app.get("/subtitles", limited, async (req, res) => {
+  const { track: trackId, format = "srt" } = req.query;
+  const { url: videoUrl, error } = parseVideoUrl(req.query.url);
+  if (error) return sendError(res, error);
+  if (!trackId) return sendError(res, badRequest("Missing track param"));
+  const fmt = CAPTION_FORMATS[format];
+  if (!fmt) return sendError(res, badRequest(`Unsupported format: ${format}`));
+  const template = req.query.filename || FILENAME_TEMPLATE;
+  const templateErr = templateError(template);
+  if (templateErr) return sendError(res, badRequest(templateErr));
+
+  try {
+    const info = await fetchInfo(videoUrl);
+    const track = findTrack(info, trackId);
+    if (!track)
+      return sendError(
+        res,
+        apiError("CAPTIONS_NOT_FOUND", "Caption track not found")
+      );
+
+    const body = formatCues(await fetchCues(track), format);
+    const vars = filenameVars(info.videoDetails, {
+      quality: track.languageCode,
+      ext: `${track.languageCode}.${fmt.ext}`,
     });
+    res.attachment(buildFilename(template, vars));
+    res.type(`${fmt.mime}; charset=utf-8`).send(body);
+  } catch (err) {
+    sendError(res, err, "DOWNLOAD_FAILED");
+  }
+});
 
-    await Promise.all([
-      save(videoUrl, videoF, vTmp.path),
-      save(videoUrl, audioF, aTmp.path),
-    ]);
-
-    ffmpeg()
-      .input(vTmp.path)
-      .videoCodec("copy")
-      .input(aTmp.path)
-      .audioCodec(
-        audioF.container === "mp4" || audioF.container === "m4a"
-          ? "copy"
-          : "aac"
-      )
-      .audioBitrate("192k")
-      .outputOptions("-movflags", "frag_keyframe+empty_moov")
-      .format("mp4")
-      .on("error", (e) => {
-        console.error("FFmpeg error:", e);
-        res.end();
-      })
-      .on("end", () => {
-        fs.unlink(vTmp.path, () => {});
-        fs.unlink(aTmp.path, () => {});
-      })
-      .pipe(res, { end: true });
+/* ------------------------- /playlist ----------------------------- */
+app.get("/playlist", limited, async (req, res) => {
+  if (!req.query.url) return sendError(res, badRequest("Missing url param"));
+  let playlistId;
+  try {
+    playlistId = parseYtUrl(req.query.url).playlistId;
   } catch (err) {
-    console.error("Download error:", err);
-    res.status(500).send("Download failed: " + err.message);
+    return sendError(res, apiError("INVALID_URL", err.message));
   }
+  if (!playlistId)
+    return sendError(res, apiError("INVALID_URL", "URL has no playlist id"));
+
+  try {
+    res.json(await getPlaylist(playlistId));
+  } catch (err) {
+    /* ytpl's wording, which would otherwise read as a video error */
+    if (!err.code && /unknown|not exist|private/i.test(err.message))
+      return sendError(res, apiError("PLAYLIST_NOT_FOUND", err.message));
+    sendError(res, err);
+  }
+});
+
+/* -------------------------- /batches ----------------------------- */
+/* body: { title, entries: [{ id, index, title }], quality, bundle, … } */
+app.post("/batches", limited, async (req, res) => {
+  const { title, entries, quality, bundle = "zip" } = req.body ?? {};
+  if (!Array.isArray(entries) || !entries.length)
+    return sendError(res, badRequest("No entries selected"));
+  if (entries.length > MAX_ENTRIES)
+    return sendError(
+      res,
+      badRequest(`At most ${MAX_ENTRIES} videos per batch (${entries.length})`)
+    );
+  if (entries.some((e) => !ytdl.validateID(e?.id || "")))
+    return sendError(res, badRequest("Invalid video id in entries"));
+  if (!QUALITIES.includes(quality))
+    return sendError(res, badRequest(`Unsupported quality: ${quality}`));
+  if (!BUNDLES.includes(bundle))
+    return sendError(res, badRequest(`Unsupported bundle: ${bundle}`));
+
+  const error =
+    audioError(req.body) ||
+    (has(req.body.filename) ? templateError(req.body.filename) : null);
+  if (error) return sendError(res, badRequest(error));
+  if (refuseWhenBusy(res)) return;
+  const full = await quotaError();
+  if (full) return sendError(res, apiError("DISK_FULL", full));
+
+  const batch = createBatch({
+    client: clientOf(req),
+    title,
+    entries: entries.map((e, i) => ({
+      id: e.id,
+      index: +e.index || i + 1,
+      title: e.title,
+    })),
+    bundle,
+    quality,
+    audioFormat: req.body.audioFormat,
+    audioBitrate: req.body.audioBitrate,
+    metadata: flag(req.body.metadata),
+    filename: req.body.filename,
+  });
+  res.status(202).location(`/batches/${batch.id}`).json(publicBatch(batch));
 });
 
-function save(url, format, out) {
-  return new Promise((ok, fail) => {
-    const ws = fs.createWriteStream(out);
-    ytdl(url, { ...COMMON, format })
-      .pipe(ws)
-      .on("finish", ok)
-      .on("error", fail);
+app.get("/batches/:id", (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch) return sendError(res, apiError("NOT_FOUND", "Batch not found"));
+  res.json(publicBatch(batch));
+});
+
+app.delete("/batches/:id", (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch) return sendError(res, apiError("NOT_FOUND", "Batch not found"));
+  cancelBatch(batch);
+  res.status(204).end();
+});
+
+app.get("/batches/:id/file", (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch) return sendError(res, apiError("NOT_FOUND", "Batch not found"));
+  if (batch.phase !== "ready" || !batch.file)
+    return sendError(
+      res,
+      apiError("NOT_READY", "No archive for this batch (yet)")
+    );
+  res.download(batch.file, batch.filename, {
+    headers: { "Content-Type": "application/zip" },
+  });
+});
+
+/* validate job parameters – shared by /download (query string) and
+   POST /jobs (JSON body), so values may arrive as strings. The error is
+   a coded one, ready for sendError */
+function jobOptions(src = {}) {
+  const { itag, audioFormat, audioBitrate } = src;
+  const { url, error } = parseVideoUrl(src.url);
+  if (error) return { error };
+  const invalid = (message) => ({ error: badRequest(message) });
+  if (!itag) return invalid("Missing itag parameter");
+
+  const audioErr = audioError(src);
+  if (audioErr) return invalid(audioErr);
+  const filename = has(src.filename) ? src.filename : FILENAME_TEMPLATE;
+  const templateErr = templateError(filename);
+  if (templateErr) return invalid(templateErr);
+
+  const start = has(src.start) ? parseTimestamp(src.start) : null;
+  const end = has(src.end) ? parseTimestamp(src.end) : null;
+  if (Number.isNaN(start)) return invalid(`Invalid start: ${src.start}`);
+  if (Number.isNaN(end)) return invalid(`Invalid end: ${src.end}`);
+  if (end !== null && end <= (start ?? 0))
+    return invalid("end must be after start");
+
+  return {
+    options: {
+      url,
+      itag,
+      audioFormat,
+      audioBitrate,
+      metadata: flag(src.metadata),
+      start,
+      end,
+      accurate: flag(src.accurate),
+      subtitles: src.subtitles || null,
+      filename,
+    },
+  };
+}
+
+/* canonical watch URL for any supported URL shape, or a coded { error } */
+function parseVideoUrl(input) {
+  try {
+    const { videoId, url } = parseYtUrl(input);
+    if (!videoId)
+      return {
+        error: apiError("INVALID_URL", "That's a playlist URL, not a video"),
+      };
+    return { url };
+  } catch (err) {
+    return { error: apiError("INVALID_URL", err.message) };
+  }
+}
+
+/* audioFormat must be a known target; bitrate only for lossy ones */
+function audioError({ audioFormat, audioBitrate }) {
+  if (!audioFormat) return null;
+  const t = AUDIO_TARGETS[audioFormat];
+  if (!t) return `Unsupported audio format: ${audioFormat}`;
+  if (audioBitrate && !t.bitrates.includes(+audioBitrate))
+    return `Unsupported ${t.label} bitrate: ${audioBitrate}`;
+  return null;
+}
+
+/* who a request counts against in the scheduler's fair queueing: the
+   API key when there is one, else the address */
+const clientOf = (req) => (req.apiKey ? `key:${req.apiKey.name}` : req.ip);
+
+/* 503 + Retry-After while the scheduler's queue is full; true if sent */
+function refuseWhenBusy(res) {
+  const full = queueFull();
+  if (!full) return false;
+  sendError(
+    res,
+    apiError("SERVER_BUSY", full.error, { retryAfter: full.retryAfter })
+  );
+  return true;
+}
+
+const badRequest = (message) => apiError("INVALID_REQUEST", message);
+
+const has = (v) => v !== undefined && v !== null && v !== "";
+const flag = (v) => v === true || v === "1" || v === "true";
+
+/* nothing to post-process – the format can be piped straight through */
+const isPlainDownload = (o) =>
+  !o.audioFormat &&
+  !o.metadata &&
+  !o.subtitles &&
+  o.start === null &&
+  o.end === null;
+
+/* Pipe a progressive format, honouring a single `Range` (and `If-Range`)
+   when YouTube told us the size. Without a length we can't do ranges
+   and stream the whole thing as before. */
+function sendProgressive(req, res, info, format) {
+  const size = +format.contentLength || 0;
+  /* pipeline destroys the ytdl stream (and its requests upstream) when
+     the client goes away */
+  const download = (range) =>
+    pipeline(
+      ytdl.downloadFromInfo(info, { ...COMMON, format, range }),
+      res,
+      (err) => {
+        if (!err || err.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+        upstream.failure(err);
+        log.warn("download.stream_failed", { itag: format.itag, err });
+      }
+    );
+  if (!size) return download();
+
+  const etag = `"${info.videoDetails.videoId}-${format.itag}-${
+    format.lastModified || size
+  }"`;
+  res.set({ "Accept-Ranges": "bytes", ETag: etag });
+
+  /* If-Range with a stale validator means "send the whole new file" */
+  const ifRange = req.get("If-Range");
+  const ranges =
+    ifRange && ifRange !== etag
+      ? undefined
+      : req.range(size, { combine: true });
+
+  if (ranges === -1) {
+    res.set("Content-Range", `bytes */${size}`);
+    return res.status(416).end();
+  }
+  /* no, malformed or multi-part Range: send everything */
+  if (!Array.isArray(ranges) || ranges.length !== 1) {
+    res.set("Content-Length", size);
+    return req.method === "HEAD" ? res.end() : download();
+  }
+
+  const [{ start, end }] = ranges;
+  res.status(206).set({
+    "Content-Range": `bytes ${start}-${end}/${size}`,
+    "Content-Length": end - start + 1,
   });
+  return req.method === "HEAD" ? res.end() : download({ start, end });
 }
 
-/* fallback error middleware */
+/* res.download answers Range / If-Range itself (Accept-Ranges, ETag,
+   Last-Modified, 206), so finished artifacts are resumable as they are */
+function sendArtifact(res, job) {
+  res.download(job.file, job.filename, {
+    headers: { "Content-Type": job.mime },
+  });
+}
+
+/* unknown routes get a coded 404 too, not Express' HTML page */
+app.use((req, res) => {
+  sendError(res, apiError("NOT_FOUND", `No route ${req.method} ${req.path}`));
+});
+
+/* fallback error middleware; the request log entry carries the error */
 app.use((err, _req, res, _next) => {
-  console.error("Unhandled error:", err);
-  res.status(500).json({ error: "Internal server error" });
+  if (!res.headersSent) return sendError(res, err);
+  res.locals.error = err;
+  res.destroy();
 });
 
+/* temp files of a previous run that crashed or was killed */
+const sweep = () =>
+  sweepWorkspaces()
+    .then((removed) => removed && log.info("workspace.swept", { removed }))
+    .catch((err) => log.error("workspace.sweep_failed", { err }));
+sweep();
+setInterval(sweep, SWEEP_INTERVAL).unref();
+
 app.listen(PORT, () => {
-  console.log(`▶️  Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
+  log.info("server.started", {
+    port: +PORT,
+    env: process.env.NODE_ENV || "development",
+    trustProxy: +TRUST_PROXY || 0,
+  });
+  if (!+TRUST_PROXY && +(process.env.RATE_LIMIT_MAX ?? 60))
+    log.warn("server.trust_proxy_off", {
+      message:
+        "Rate limits are per client address; behind a proxy every client " +
+        "shares the proxy's. Set TRUST_PROXY=<hops> if there is one.",
+    });
 });